@@ -2,9 +2,25 @@
 'use strict'
 import meow from 'meow'
 import { fileURLToPath } from 'url'
-import { dirname, join } from 'path'
-import { mkdirSync, copyFileSync, existsSync } from 'fs'
+import { basename, dirname, extname, join } from 'path'
+import { copyFileSync } from 'fs'
 import gltfjsx from './src/gltfjsx.js'
+import {
+  batch,
+  convertEntry,
+  writeBarrel,
+  isPattern,
+  nameComponents,
+  resolveInputs,
+  printSummary,
+  toPascalCase,
+} from './src/utils/batch.js'
+import detectProject from './src/utils/project.js'
+import { loadConfig, resolveOptions } from './src/utils/config.js'
+import watch from './src/utils/watch.js'
+import { GltfvueError } from './src/utils/errors.js'
+import { inspect, printTree } from './src/utils/inspect.js'
+import { validate, printValidation } from './src/utils/validate.js'
 import { readPackageUpSync } from 'read-pkg-up'
 
 const __filename = fileURLToPath(import.meta.url)
@@ -14,18 +30,35 @@ const cli = meow(
   `
 	Usage
 	  $ npx gltfjsx [Model.glb] [options]
+	  $ npx gltfjsx "assets/**/*.glb" -o src/models/ [options]
+	  $ npx gltfjsx validate [Model.glb] [--json]
+	  $ npx gltfjsx inspect [Model.glb] [--json] [--type mesh] [--name "Wheel*"]
 
 	Options
-    --output, -o        Output file name/path
+    --config            Config file (default: gltfvue.config.js, .json or package.json#gltfvue)
+    --output, -o        Output file name/path (directory for folders and glob patterns)
+    --publicdir         Directory transformed models are written to
+    --demo              Copy the component and model into this repo's demo app
+    --merge             Keep hand edits of an existing component when regenerating it
+    --report            Write a conversion report next to the component (json or html)
+    --validate          Run the Khronos glTF validator first and print its issues
+      --strict          Don't generate anything when the validator finds errors
+    --index             Write an index barrel exporting all components (batch mode)
     --types, -t         Add Typescript definitions
     --keepnames, -k     Keep original names
     --keepgroups, -K    Keep (empty) groups, disable pruning
+    --hierarchy, -H     Keep the node hierarchy, only prune redundant groups
+    --keepnodes         Groups to keep in hierarchy mode (comma separated, * wildcards)
     --bones, -b         Lay out bones declaratively (default: false)
     --meta, -m          Include metadata (as userData)
     --shadows, s        Let meshes cast and receive shadows
-    --printwidth, w     Prettier printWidth (default: 120)
+    --printwidth, -w    Prettier printWidth (default: 120)
+    --tabwidth          Prettier tabWidth (default: 2)
+    --singleattribute   Put every attribute on its own line
+    --prettierrc        Use the project's Prettier config
     --precision, -p     Number of fractional digits (default: 3)
     --draco, -d         Draco binary path
+    --transcoder        Basis transcoder path for KTX2 textures
     --root, -r          Sets directory from which .gltf file is served
     --instance, -i      Instance re-occuring geometry
     --instanceall, -I   Instance every geometry (for cheaper re-use)
@@ -34,42 +67,79 @@ const cli = meow(
       --resolution, -R  Resolution for texture resizing (default: 1024)
       --keepmeshes, -j  Do not join compatible meshes
       --keepmaterials, -M Do not palette join materials
-      --format, -f      Texture format (default: "webp")
+      --format, -f      Texture format, webp, avif, jpeg, png or ktx2 (default: "webp")
       --simplify, -S    Mesh simplification (default: false)
         --ratio         Simplifier ratio (default: 0)
         --error         Simplifier error threshold (default: 0.0001)
+      --compression     Geometry compression, draco, meshopt, quantize or none (default: draco)
+        --meshoptlevel  Meshopt level, medium or high (default: high)
+        --quantize      Bits per attribute, e.g. "position=12,normal=8" (default: position 14,
+                        normal 10, texcoord 12, color 8, weight 8, generic 12)
+      --no-cache        Always transform, don't reuse node_modules/.cache/gltfvue
+    --watch, -W         Regenerate components when models change
+      --debounce        Wait for writes to settle, in ms (default: 200)
     --console, -c       Log JSX to console, won't produce a file
     --debug, -D         Debug output
+
+	Inspect and validate options
+    --json              Print the scene graph or the issues as JSON
+    --type              Only nodes of this type, e.g. mesh (* wildcards)
+    --name              Only nodes with this name (* wildcards)
 `,
   {
     importMeta: import.meta,
+    // Defaults live in the config, unset flags must not override gltfvue.config.js
+    booleanDefault: undefined,
     flags: {
+      config: { type: 'string' },
       output: { type: 'string', shortFlag: 'o' },
+      index: { type: 'boolean' },
+      publicdir: { type: 'string' },
+      demo: { type: 'boolean' },
+      merge: { type: 'boolean' },
+      report: { type: 'string' },
+      validate: { type: 'boolean' },
+      strict: { type: 'boolean' },
       types: { type: 'boolean', shortFlag: 't' },
       keepnames: { type: 'boolean', shortFlag: 'k' },
       keepgroups: { type: 'boolean', shortFlag: 'K' },
-      bones: { type: 'boolean', shortFlag: 'b', default: false },
+      hierarchy: { type: 'boolean', shortFlag: 'H' },
+      keepnodes: { type: 'string' },
+      bones: { type: 'boolean', shortFlag: 'b' },
       shadows: { type: 'boolean', shortFlag: 's' },
-      printwidth: { type: 'number', shortFlag: 'p', default: 1000 },
+      printwidth: { type: 'number', shortFlag: 'w' },
+      tabwidth: { type: 'number' },
+      singleattribute: { type: 'boolean' },
+      prettierrc: { type: 'boolean' },
       meta: { type: 'boolean', shortFlag: 'm' },
-      precision: { type: 'number', shortFlag: 'p', default: 3 },
+      precision: { type: 'number', shortFlag: 'p' },
       draco: { type: 'string', shortFlag: 'd' },
+      transcoder: { type: 'string' },
       root: { type: 'string', shortFlag: 'r' },
       instance: { type: 'boolean', shortFlag: 'i' },
       instanceall: { type: 'boolean', shortFlag: 'I' },
       transform: { type: 'boolean', shortFlag: 'T' },
-      resolution: { type: 'number', shortFlag: 'R', default: 1024 },
-      degrade: { type: 'string', shortFlag: 'q', default: '' },
-      degraderesolution: { type: 'number', shortFlag: 'Q', default: 512 },
-      simplify: { type: 'boolean', shortFlag: 'S', default: false },
-      keepmeshes: { type: 'boolean', shortFlag: 'j', default: false },
-      keepmaterials: { type: 'boolean', shortFlag: 'M', default: false },
-      format: { type: 'string', shortFlag: 'f', default: 'webp' },
+      resolution: { type: 'number', shortFlag: 'R' },
+      degrade: { type: 'string', shortFlag: 'q' },
+      degraderesolution: { type: 'number', shortFlag: 'Q' },
+      simplify: { type: 'boolean', shortFlag: 'S' },
+      keepmeshes: { type: 'boolean', shortFlag: 'j' },
+      keepmaterials: { type: 'boolean', shortFlag: 'M' },
+      format: { type: 'string', shortFlag: 'f' },
       exportdefault: { type: 'boolean', shortFlag: 'E' },
-      ratio: { type: 'number', default: 0.75 },
-      error: { type: 'number', default: 0.001 },
+      ratio: { type: 'number' },
+      error: { type: 'number' },
+      compression: { type: 'string' },
+      meshoptlevel: { type: 'string' },
+      quantize: { type: 'string' },
+      cache: { type: 'boolean' },
+      watch: { type: 'boolean', shortFlag: 'W' },
+      debounce: { type: 'number' },
       console: { type: 'boolean', shortFlag: 'c' },
       debug: { type: 'boolean', shortFlag: 'D' },
+      json: { type: 'boolean' },
+      type: { type: 'string' },
+      name: { type: 'string' },
     },
   }
 )
@@ -78,50 +148,133 @@ const { packageJson } = readPackageUpSync({ cwd: __dirname, normalize: false })
 
 if (cli.input.length === 0) {
   console.log(cli.help)
-} else {
-  const config = {
-    ...cli.flags,
-    header: `Auto-generated by: https://github.com/OmnomnomTee/gltfvue
-Command: npx gltfvue@${packageJson.version} ${process.argv.slice(2).join(' ')}`,
+} else if (cli.input[0] === 'inspect') {
+  // Prints the scene graph, no code is generated
+  const { json, type, name, precision } = cli.flags
+  if (cli.input.length !== 2) {
+    console.error('Usage: gltfvue inspect [Model.glb] [--json] [--type mesh] [--name "Wheel*"]')
+    process.exit(1)
   }
-  const file = cli.input[0]
-  let nameExt = file.match(/[-_\w\d\s]+[.][\w]+$/i)[0]
-  let name = nameExt.split('.').slice(0, -1).join('.')
-
-  // Create output directory if it doesn't exist
-  const outputDir = join(__dirname, 'output')
-  mkdirSync(outputDir, { recursive: true })
-
-  const output = config.output ?? join(outputDir, name.charAt(0).toUpperCase() + name.slice(1) + (config.types ? '.vue' : '.vue'))
+  try {
+    const tree = await inspect(cli.input[1], { type, name, precision })
+    console.log(json ? JSON.stringify(tree, null, 2) : printTree(tree))
+  } catch (e) {
+    console.error(e instanceof GltfvueError ? `Error: ${e.message}` : e)
+    process.exitCode = 1
+  }
+} else if (cli.input[0] === 'validate') {
+  // Exits with 1 when any model has errors, warnings don't fail
+  const { json } = cli.flags
+  if (cli.input.length < 2) {
+    console.error('Usage: gltfvue validate [Model.glb] [--json]')
+    process.exit(1)
+  }
+  const results = []
+  for (const file of cli.input.slice(1)) {
+    try {
+      const result = await validate(file)
+      results.push(result)
+      if (result.errors) process.exitCode = 1
+      if (!json) console.log(printValidation(result) + '\n')
+    } catch (e) {
+      console.error(e instanceof GltfvueError ? `Error: ${e.message}` : e)
+      process.exitCode = 1
+    }
+  }
+  if (json) console.log(JSON.stringify(results.length === 1 ? results[0] : results, null, 2))
+} else {
+  const header = `Auto-generated by: https://github.com/OmnomnomTee/gltfvue
+Command: npx gltfvue@${packageJson.version} ${process.argv.slice(2).join(' ')}`
   const showLog = (log) => {
     console.info('log:', log)
   }
+  const { config: configFile, json, type, name, ...flags } = cli.flags
+  let settings
   try {
-    const response = await gltfjsx(file, output, { ...config, showLog, timeout: 0, delay: 1 })
+    settings = await loadConfig(process.cwd(), configFile)
+  } catch (e) {
+    console.error(e.message)
+    process.exit(1)
+  }
+  // Components and models go into the project gltfvue is run in, never into the package itself
+  const project = detectProject()
+  // Options for a model, overrides from the config file apply per model
+  const optionsFor = (file) => {
+    const resolved = resolveOptions(settings, file, flags)
+    return {
+      ...resolved,
+      header,
+      publicdir: resolved.publicdir ?? (project.framework ? project.public : undefined),
+      showLog,
+      timeout: 0,
+      delay: 1,
+    }
+  }
+  const config = optionsFor()
+  // The demo app shows a single component that was written to disk
+  if (config.demo && (config.console || cli.input.length > 1 || isPattern(cli.input[0]))) {
+    console.error('Error: --demo takes a single model and can not be combined with --console')
+    process.exit(1)
+  }
+  const startWatching = (onChange, ignore) => {
+    console.log(`\nWatching ${cli.input.join(', ')} for changes`)
+    watch(cli.input, onChange, { debounce: config.debounce, ignore })
+  }
 
-    // Create a copy in the demo folder with a fixed name for showcasing
-    const demoDir = join(__dirname, 'demo', 'src', 'components')
-    mkdirSync(demoDir, { recursive: true })
-    const demoOutput = join(demoDir, 'Model.vue')
-    await gltfjsx(file, demoOutput, { ...config, showLog, timeout: 0, delay: 1 })
+  if (cli.input.length > 1 || isPattern(cli.input[0])) {
+    // Batch mode, every match is written into the output directory
+    const outDir = config.output ?? project.components
+    const results = await batch(cli.input, outDir, optionsFor)
+    if (!results.length) console.log(`No models matched ${cli.input.join(', ')}`)
+    else console.log('\n' + printSummary(results, outDir))
+    if (config.watch) {
+      const ignore = [outDir, config.publicdir]
+      startWatching(async (file) => {
+        // Names depend on every match, resolve them again in case models were added
+        const entries = nameComponents(await resolveInputs(cli.input, { ignore }))
+        await convertEntry(
+          entries.find((entry) => entry.file === file),
+          outDir,
+          optionsFor(file)
+        )
+        if (config.index) writeBarrel(entries, outDir, config)
+      }, ignore)
+    } else if (results.some((result) => result.error)) process.exitCode = 1
+  } else {
+    const file = cli.input[0]
+    const options = optionsFor(file)
+    const output = config.output ?? join(project.components, toPascalCase(basename(file, extname(file))) + '.vue')
+    try {
+      await gltfjsx(file, output, options)
 
-    // Copy the transformed GLB file to demo/public if it exists
-    if (config.transform) {
-      const transformedGlbName = name + '-transformed.glb'
-      const transformedGlbPath = join(outputDir, transformedGlbName)
-      if (existsSync(transformedGlbPath)) {
-        const demoPublicDir = join(__dirname, 'demo', 'public')
-        mkdirSync(demoPublicDir, { recursive: true })
-        const demoGlbPath = join(demoPublicDir, transformedGlbName)
-        copyFileSync(transformedGlbPath, demoGlbPath)
-        console.log(`\nCreated files:\n  - ${output}\n  - ${demoOutput}\n  - ${demoGlbPath}`)
-      } else {
-        console.log(`\nCreated files:\n  - ${output}\n  - ${demoOutput}`)
+      const created = [output]
+      if (config.types) created.push(output + '.d.ts')
+      const transformed = config.transform || config.instance || config.instanceall
+      const transformedGlb = join(
+        options.publicdir ?? dirname(output),
+        basename(file, extname(file)) + '-transformed.glb'
+      )
+      if (transformed) created.push(transformedGlb)
+      if (config.report)
+        created.push(join(dirname(output), `${basename(output, extname(output))}.report.${config.report}`))
+
+      if (config.demo) {
+        // Copy into this repo's demo app, it loads Model.vue from its components
+        const demoOutput = join(__dirname, 'demo', 'src', 'components', 'Model.vue')
+        copyFileSync(output, demoOutput)
+        created.push(demoOutput)
+        if (transformed) {
+          const demoGlb = join(__dirname, 'demo', 'public', basename(transformedGlb))
+          copyFileSync(transformedGlb, demoGlb)
+          created.push(demoGlb)
+        }
       }
-    } else {
-      console.log(`\nCreated files:\n  - ${output}\n  - ${demoOutput}`)
+      if (!config.console) console.log(`\nCreated files:\n${created.map((f) => `  - ${f}`).join('\n')}`)
+    } catch (e) {
+      // Expected failures get a one line message, anything else is a bug and keeps its stack
+      console.error(e instanceof GltfvueError ? `Error: ${e.message}` : e)
+      process.exitCode = 1
     }
-  } catch (e) {
-    console.error(e)
+    if (config.watch) startWatching(() => gltfjsx(file, output, options))
   }
 }
@@ -1,39 +1,13 @@
 import 'jsdom-global'
 import fs from 'fs'
 import path from 'path'
-import transform from './utils/transform.js'
+import * as prettier from 'prettier'
+import convert from './utils/convert.js'
+import { merge, printConflicts } from './utils/merge.js'
+import { checkReportFormat, printQuantization, writeReport } from './utils/report.js'
+import { printValidation } from './utils/validate.js'
 
-import { GLTFLoader } from './bin/GLTFLoader.js'
-import { DRACOLoader } from './bin/DRACOLoader.js'
-DRACOLoader.getDecoderModule = () => {}
-import parse from './utils/parser.js'
-
-const gltfLoader = new GLTFLoader()
-gltfLoader.setDRACOLoader(new DRACOLoader())
-
-function toArrayBuffer(buf) {
-  var ab = new ArrayBuffer(buf.length)
-  var view = new Uint8Array(ab)
-  for (var i = 0; i < buf.length; ++i) view[i] = buf[i]
-  return ab
-}
-
-function roundOff(value) {
-  return Math.round(value * 100) / 100
-}
-
-function getFileSize(file) {
-  const stats = fs.statSync(file)
-  let fileSize = stats.size
-  let fileSizeKB = roundOff(fileSize * 0.001)
-  let fileSizeMB = roundOff(fileSizeKB * 0.001)
-  return {
-    size: fileSizeKB > 1000 ? `${fileSizeMB}MB` : `${fileSizeKB}KB`,
-    sizeKB: fileSizeKB,
-  }
-}
-
-export default function (file, output, options) {
+export default async function (file, output, options) {
   function getRelativeFilePath(file) {
     const filePath = path.resolve(file)
     const rootPath = options.root ? path.resolve(options.root) : path.dirname(file)
@@ -42,48 +16,56 @@ export default function (file, output, options) {
     return relativePath
   }
 
-  return new Promise((resolve, reject) => {
-    async function run(stream) {
-      let size = ''
-      // Process GLTF
-      if (output && path.parse(output).ext === '.tsx') options.types = true
-      if (options.transform || options.instance || options.instanceall) {
-        const { name } = path.parse(file)
-        const outputDir = path.parse(path.resolve(output ?? file)).dir
-        const transformOut = path.join(outputDir, name + '-transformed.glb')
-        await transform(file, transformOut, options)
-        const { size: sizeOriginal, sizeKB: sizeKBOriginal } = getFileSize(file)
-        const { size: sizeTransformed, sizeKB: sizeKBTransformed } = getFileSize(transformOut)
-        size = `${file} [${sizeOriginal}] > ${transformOut} [${sizeTransformed}] (${Math.round(
-          100 - (sizeKBTransformed / sizeKBOriginal) * 100
-        )}%)`
-        file = transformOut
-      }
-      const filePath = getRelativeFilePath(file)
-      const data = fs.readFileSync(file)
-      const arrayBuffer = toArrayBuffer(data)
-      gltfLoader.parse(
-        arrayBuffer,
-        '',
-        async (gltf) => {
-          const output = await parse(gltf, { fileName: filePath, size, ...options })
-          if (options.console) console.log(output)
-          else stream?.write(output)
-          stream?.end()
-          resolve()
-        },
-        (reason) => console.log(reason)
-      )
-    }
+  const existing = options.merge && !options.console && fs.existsSync(output) ? fs.readFileSync(output, 'utf-8') : null
+
+  // Nothing is written until the model is known to be convertible
+  if (options.report && !options.console) checkReportFormat(options.report)
+  if (output && path.parse(output).ext === '.tsx') options.types = true
+  let transformOut = null
+  if (options.transform || options.instance || options.instanceall) {
+    // The transformed copy goes into the public folder when there is one, otherwise next to the component
+    const outputDir = options.publicdir ? path.resolve(options.publicdir) : path.parse(path.resolve(output ?? file)).dir
+    transformOut = path.join(outputDir, path.parse(file).name + '-transformed.glb')
+  }
+  if (options.prettierrc) {
+    // Resolve the config the way an editor would for the generated file
+    const target = output ? path.resolve(output) : path.join(process.cwd(), 'Model.vue')
+    options = { ...options, prettier: await prettier.resolveConfig(target, { editorconfig: true }) }
+  }
 
-    if (options.console) {
-      run()
-    } else {
-      const stream = fs.createWriteStream(path.resolve(output))
-      stream.once('open', async () => {
-        if (!fs.existsSync(file)) reject(file + ' does not exist.')
-        else run(stream)
-      })
-    }
+  const { sfc, types, glb, cached, quantization, report } = await convert(file, {
+    ...options,
+    output,
+    report: options.console ? undefined : options.report,
+    // Files on disk are converted over and over in batch and watch mode, only these are cached
+    cache: options.cache !== false,
+    fileName: getRelativeFilePath(transformOut ?? file),
+    // In console mode stdout is the component
+    onValidate: (result) =>
+      result.issues.length && (options.console ? console.error : console.log)(printValidation(result)),
   })
+  // The header comment sums up the model and the transform
+  if (!options.console) console.log(sfc.slice(0, sfc.indexOf('*/') + 2))
+  if (quantization && !options.console) console.log(printQuantization(quantization))
+  let result = sfc
+  if (existing) {
+    const { code, conflicts } = await merge(existing, result, options)
+    if (conflicts.length) console.log(printConflicts(conflicts, path.basename(output)))
+    result = code
+  }
+  // A cached model that is already in place isn't written again, watchers don't see a change
+  if (glb && !(cached && fs.existsSync(transformOut) && fs.readFileSync(transformOut).equals(glb))) {
+    fs.mkdirSync(path.dirname(transformOut), { recursive: true })
+    fs.writeFileSync(transformOut, glb)
+  }
+  if (options.console) {
+    console.log(result)
+    return { cached }
+  }
+  fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true })
+  fs.writeFileSync(path.resolve(output), result)
+  // Declarations for JS consumers, e.g. Model.vue.d.ts
+  if (types) fs.writeFileSync(path.resolve(output) + '.d.ts', types)
+  if (report) writeReport(report, output, options.report)
+  return { cached }
 }
@@ -0,0 +1,101 @@
+import fs from 'fs'
+import path from 'path'
+import { convertEntry, nameComponents, resolveInputs } from './utils/batch.js'
+import { loadConfig, resolveOptions } from './utils/config.js'
+import watch from './utils/watch.js'
+
+/**
+ * Renders the model only in the browser, the component and useGLTF are never loaded on the server.
+ * A ref on the wrapper reaches what the model exposes once it has loaded.
+ */
+function printWrapper(component) {
+  return `<script setup>
+import { computed, defineAsyncComponent, shallowRef } from 'vue'
+
+const Model = defineAsyncComponent(() => import('${component}'))
+const model = shallowRef()
+
+defineExpose({
+  group: computed(() => model.value?.group),
+  nodes: computed(() => model.value?.nodes),
+  materials: computed(() => model.value?.materials),
+  actions: computed(() => model.value?.actions),
+})
+</script>
+
+<template>
+  <ClientOnly>
+    <Model ref="model" v-bind="$attrs" />
+  </ClientOnly>
+</template>
+`
+}
+
+/**
+ * Nuxt module that generates a component for every model in `models/` into .nuxt/cache/gltfvue
+ * and registers client-only wrappers for auto-import, models/car.glb becomes <ModelCar />.
+ * Transformed models are written to public/models. Options come from gltfvue.config.js, the
+ * `gltfvue` key of nuxt.config and the inline module options, later ones win.
+ */
+export default async function gltfvueModule(inlineOptions = {}, nuxt) {
+  const {
+    dir = 'models',
+    prefix = 'Model',
+    publicPath = 'models',
+    ...options
+  } = {
+    ...nuxt.options.gltfvue,
+    ...inlineOptions,
+  }
+  const modelsDir = path.resolve(nuxt.options.rootDir, dir)
+  // nuxi build and dev clear the buildDir after modules are set up, all but its cache folder
+  const outDir = path.join(nuxt.options.buildDir, 'cache', 'gltfvue')
+  const componentsDir = path.join(outDir, 'components')
+  const wrappersDir = path.join(outDir, 'wrappers')
+  const publicDir = path.join(nuxt.options.rootDir, 'public')
+  const config = await loadConfig(nuxt.options.rootDir)
+  const optionsFor = (file) => ({
+    ...resolveOptions(config, file, options),
+    header: 'Auto-generated by the gltfvue Nuxt module, changes are overwritten',
+    // Always transformed, the transformed copy is what public serves
+    transform: true,
+    publicdir: path.join(publicDir, publicPath),
+    root: publicDir,
+  })
+
+  async function generate(file) {
+    const entries = nameComponents(await resolveInputs([modelsDir]))
+    fs.rmSync(wrappersDir, { recursive: true, force: true })
+    fs.mkdirSync(wrappersDir, { recursive: true })
+    for (const entry of entries) {
+      if (!file || path.resolve(entry.file) === path.resolve(file)) {
+        try {
+          await convertEntry(entry, componentsDir, optionsFor(entry.file))
+        } catch (error) {
+          console.error(`[gltfvue] ${entry.file}: ${error.message}`)
+          continue
+        }
+      }
+      const component = path.join(componentsDir, entry.output)
+      if (fs.existsSync(component))
+        fs.writeFileSync(path.join(wrappersDir, entry.name + '.vue'), printWrapper(component.replace(/\\/g, '/')))
+    }
+    return entries
+  }
+
+  if (fs.existsSync(modelsDir)) await generate()
+
+  nuxt.hook('components:dirs', (dirs) => {
+    dirs.push({ path: wrappersDir, prefix, pathPrefix: false, extensions: ['vue'] })
+  })
+
+  if (nuxt.options.dev && fs.existsSync(modelsDir)) {
+    const stop = watch([modelsDir], async (file) => {
+      const known = fs.readdirSync(wrappersDir).length
+      const entries = await generate(file)
+      // A new model is a new component, Nuxt has to scan the wrappers again
+      if (entries.length !== known) await nuxt.callHook('builder:generateApp')
+    })
+    nuxt.hook('close', stop)
+  }
+}
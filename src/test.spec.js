@@ -2,7 +2,33 @@ import assert from 'node:assert'
 import { describe, it, after } from 'node:test'
 import fs from 'fs'
 import path from 'path'
+import * as THREE from 'three'
 import gltfjsx from '../src/gltfjsx.js'
+import parse from '../src/utils/parser.js'
+import { batch, nameComponents, resolveInputs } from '../src/utils/batch.js'
+import watch from '../src/utils/watch.js'
+import detectProject from '../src/utils/project.js'
+import { loadConfig, resolveOptions } from '../src/utils/config.js'
+import { merge } from '../src/utils/merge.js'
+import { inspectScene, printTree } from '../src/utils/inspect.js'
+import {
+  MissingFileError,
+  UnreadableModelError,
+  UnsupportedExtensionError,
+  ValidationError,
+  ParseError,
+  InvalidOptionError,
+} from '../src/utils/errors.js'
+import { validate } from '../src/utils/validate.js'
+import { cacheKey } from '../src/utils/cache.js'
+import { textureRules } from '../src/utils/textures.js'
+import { createIO, previewQuantization, quantizeBits, resolvePipeline } from '../src/utils/transform.js'
+import convert from '../src/utils/convert.js'
+import gltfvue from '../src/vite.js'
+import gltfvueModule from '../src/nuxt.js'
+import { parse as parseSFC } from '@vue/compiler-sfc'
+import { center } from '@gltf-transform/functions'
+import { printDeclaration } from '../src/utils/types.js'
 
 describe('GLTF to Vue/TresJS Transformation', () => {
   const testGltfPath = 'public/scene.gltf'
@@ -16,7 +42,7 @@ describe('GLTF to Vue/TresJS Transformation', () => {
   after(() => {
     // Clean up any test output files
     const testFiles = fs.readdirSync('.').filter(f => f.startsWith('test-output-'))
-    testFiles.forEach(f => fs.unlinkSync(f))
+    testFiles.forEach(f => fs.rmSync(f, { recursive: true, force: true }))
 
     if (fs.existsSync('scene-transformed.glb')) {
       fs.unlinkSync('scene-transformed.glb')
@@ -129,6 +155,45 @@ describe('GLTF to Vue/TresJS Transformation', () => {
     assert(content.startsWith('/*'), 'Should start with comment block')
   })
 
+  it('should emit typed GLTFResult with --types', async () => {
+    const testOutputPath = getTestOutputPath('types')
+    await gltfjsx(testGltfPath, testOutputPath, {
+      header: 'Auto-generated test',
+      types: true,
+      printwidth: 120,
+      precision: 3,
+    })
+
+    // Ensure file is fully written
+    await new Promise(resolve => setTimeout(resolve, 100))
+    const content = fs.readFileSync(testOutputPath, 'utf-8')
+
+    assert(content.includes('<script setup lang="ts">'), 'Should use a typescript script block')
+    assert(content.includes('type GLTFResult = GLTF & {'), 'Should declare GLTFResult')
+    assert(content.includes('as unknown as GLTFResult'), 'Should type useGLTF against GLTFResult')
+    assert(!content.includes('JSX.IntrinsicElements'), 'Should not emit React types')
+
+    const declaration = fs.readFileSync(testOutputPath + '.d.ts', 'utf-8')
+    assert(declaration.includes('export type GLTFResult'), 'Should export GLTFResult from the declaration file')
+    assert(declaration.includes('export default'), 'Should declare the default component export')
+  })
+
+  it('should not claim typescript without --types', async () => {
+    const testOutputPath = getTestOutputPath('no-types')
+    await gltfjsx(testGltfPath, testOutputPath, {
+      header: 'Auto-generated test',
+      printwidth: 120,
+      precision: 3,
+    })
+
+    // Ensure file is fully written
+    await new Promise(resolve => setTimeout(resolve, 100))
+    const content = fs.readFileSync(testOutputPath, 'utf-8')
+
+    assert(!content.includes('lang="ts"'), 'Should not use a typescript script block')
+    assert(!fs.existsSync(testOutputPath + '.d.ts'), 'Should not write a declaration file')
+  })
+
   it('should handle --transform flag and optimize assets', async () => {
     const testOutputPath = getTestOutputPath('transform-flag')
     const outputDir = path.dirname(path.resolve(testOutputPath))
@@ -184,4 +249,693 @@ describe('GLTF to Vue/TresJS Transformation', () => {
     assert(content.includes('<template>'), 'Should have template section')
     assert(content.includes('</template>'), 'Should close template section')
   })
-})
\ No newline at end of file
+
+  it('should declare props, a root ref and expose the model', async () => {
+    const testOutputPath = getTestOutputPath('props-expose')
+    await gltfjsx(testGltfPath, testOutputPath, {
+      header: 'Auto-generated test',
+      printwidth: 120,
+      precision: 3,
+    })
+
+    // Ensure file is fully written
+    await new Promise(resolve => setTimeout(resolve, 100))
+    const content = fs.readFileSync(testOutputPath, 'utf-8')
+
+    assert(content.includes('defineProps('), 'Should declare props')
+    assert(content.includes('defineOptions({ inheritAttrs: false })'), 'Should forward attrs explicitly')
+    assert(content.includes('<TresGroup ref="group" v-bind="$attrs" :position="position"'), 'Should bind the root group')
+    assert(content.includes('defineExpose({ group, nodes, materials })'), 'Should expose the model')
+  })
+
+  it('should honour printwidth and singleattribute', async () => {
+    const testOutputPath = getTestOutputPath('singleattribute')
+    await gltfjsx(testGltfPath, testOutputPath, {
+      header: 'Auto-generated test',
+      printwidth: 80,
+      tabwidth: 4,
+      singleattribute: true,
+      precision: 3,
+    })
+
+    // Ensure file is fully written
+    await new Promise(resolve => setTimeout(resolve, 100))
+    const content = fs.readFileSync(testOutputPath, 'utf-8')
+    const template = content.slice(content.indexOf('<template>'))
+
+    assert(template.includes('\n    <TresGroup\n        ref="group"\n'), 'Should indent and wrap attributes')
+    assert(template.includes('\n        <TresMesh\n'), 'Should indent nested elements')
+    assert(!/\n\n\n/.test(content), 'Should not leave stray blank lines')
+  })
+
+  it('should collapse duplicated geometry into a TresInstancedMesh with --instance', async () => {
+    const scene = new THREE.Scene()
+    const geometry = new THREE.BoxGeometry()
+    const material = new THREE.MeshStandardMaterial({ name: 'steel' })
+    for (let i = 0; i < 3; i++) {
+      const bolt = new THREE.Mesh(geometry, material)
+      bolt.name = `bolt${i}`
+      bolt.position.x = i
+      scene.add(bolt)
+    }
+
+    const content = await parse(scene, { instance: true, console: true, precision: 3 })
+
+    assert(!content.includes('<instances.'), 'Should not emit React instance tags')
+    assert.strictEqual(content.match(/<TresInstancedMesh/g).length, 1, 'Should render one instanced mesh')
+    assert(content.includes(':args="[nodes.bolt0.geometry, materials.steel, 3]"'), 'Should size the instanced mesh')
+    assert(content.includes(':instance-matrix="instances.Bolt"'), 'Should bind the instance matrices')
+    assert(/instances = {\s+Bolt: new InstancedBufferAttribute\(\s+new Float32Array\(\[\s+1, 0, 0, 0,/.test(content), 'Should declare the matrices')
+  })
+
+  it('should prune redundant groups using structured props', async () => {
+    const scene = new THREE.Scene()
+    const outer = new THREE.Group()
+    outer.position.set(1, 2, 3)
+    outer.add(new THREE.PointLight(0xff0000, 2))
+    scene.add(outer)
+    const rotated = new THREE.Group()
+    rotated.rotation.x = -Math.PI / 2
+    const counterRotated = new THREE.Group()
+    counterRotated.rotation.x = Math.PI / 2
+    counterRotated.add(new THREE.PerspectiveCamera(40))
+    rotated.add(counterRotated)
+    scene.add(rotated)
+
+    const content = await parse(scene, { console: true, precision: 3 })
+    const template = content.slice(content.indexOf('<template>'))
+
+    assert.strictEqual(template.match(/<TresGroup/g).length, 1, 'Should only keep the root group')
+    assert(template.includes('<TresPointLight :intensity="2" :decay="2" color="#ff0000" :position="[1, 2, 3]" />'), 'Should move the transform onto the child')
+    assert(template.includes('<TresPerspectiveCamera '), 'Should keep the camera')
+  })
+
+  it('should keep rig groups with --hierarchy', async () => {
+    const scene = new THREE.Scene()
+    const material = new THREE.MeshStandardMaterial({ name: 'paint' })
+    const mesh = (name) => Object.assign(new THREE.Mesh(new THREE.BoxGeometry(), material), { name })
+    const wrapper = new THREE.Group()
+    wrapper.add(mesh('body'))
+    scene.add(wrapper)
+    const hinge = new THREE.Group()
+    hinge.position.set(1, 0, 0)
+    hinge.add(mesh('door'))
+    scene.add(hinge)
+    const wheel = new THREE.Group()
+    wheel.name = 'WheelFL'
+    wheel.add(mesh('tyre'))
+    scene.add(wheel)
+
+    const content = await parse(scene, { console: true, precision: 3, hierarchy: true, keepnodes: 'Wheel*' })
+    const template = content.slice(content.indexOf('<template>'))
+
+    assert(template.includes('<TresGroup :position="[1, 0, 0]">'), 'Should keep the transformed pivot')
+    assert(template.includes('<TresGroup name="WheelFL">'), 'Should keep allow-listed groups by name')
+    assert(!/<TresMesh[^>]*:position/.test(template), 'Should not bake world transforms')
+    assert.strictEqual(template.match(/<TresGroup/g).length, 3, 'Should prune the identity wrapper')
+    assert(!template.includes('<TresScene'), 'Should not nest a scene')
+  })
+
+  it('should configure decoders for compressed extensions', async () => {
+    const scene = new THREE.Scene()
+    scene.add(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial()))
+    const extensionsUsed = ['KHR_draco_mesh_compression', 'EXT_meshopt_compression']
+    const gltf = { scene, animations: [], parser: { json: { extensionsUsed } } }
+
+    const content = await parse(gltf, { console: true, precision: 3, draco: '/draco/' })
+
+    assert(content.includes("{ draco: true, decoderPath: '/draco/' }"), 'Should pass draco options to useGLTF')
+    assert(content.includes("import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js'"), 'Should import the meshopt decoder')
+    assert(content.includes('gltfLoader.setMeshoptDecoder(MeshoptDecoder)'), 'Should register the meshopt decoder')
+    assert(!content.includes('KTX2Loader'), 'Should not set up basisu when unused')
+  })
+
+  it('should name batch components in PascalCase and resolve collisions', () => {
+    const entries = nameComponents([
+      { file: 'assets/cars/red-car.glb', base: 'assets' },
+      { file: 'assets/cars/wheel.glb', base: 'assets' },
+      { file: 'assets/props/wheel.glb', base: 'assets' },
+      { file: 'assets/props/wheel.gltf', base: 'assets' },
+      { file: 'assets/2d_sign.glb', base: 'assets' },
+    ])
+    assert.deepStrictEqual(
+      entries.map((entry) => entry.name),
+      ['RedCar', 'Wheel', 'PropsWheel', 'PropsWheel2', 'Model2dSign']
+    )
+    assert.strictEqual(entries[2].output, path.join('props', 'PropsWheel.vue'), 'Should mirror the directory layout')
+  })
+
+  it('should convert glob patterns in batch and write an index barrel', async () => {
+    const results = await batch('public/*.gltf', 'test-output-batch', { index: true, types: true, precision: 3 })
+
+    assert.strictEqual(results.length, 1)
+    assert(!results[0].error, 'Should convert the model')
+    assert(fs.existsSync('test-output-batch/Scene.vue'), 'Should write the component')
+    const index = fs.readFileSync('test-output-batch/index.ts', 'utf-8')
+    assert.strictEqual(index, "export { default as Scene } from './Scene.vue'\n")
+  })
+
+  it('should skip its own output and node_modules when a batch runs again', async () => {
+    const dir = 'test-output-batch-twice'
+    for (const file of ['scene.gltf', 'scene.bin', 'textures'])
+      fs.cpSync(path.join('public', file), path.join(dir, 'models', file), { recursive: true })
+    fs.cpSync('public/scene.gltf', `${dir}/node_modules/dep/dep.gltf`)
+    // A model in the output folder, e.g. copied there by hand
+    fs.cpSync('public/scene.gltf', `${dir}/public/copy.gltf`)
+    const options = { transform: true, cache: true, resolution: 64, precision: 3, publicdir: `${dir}/public` }
+    const run = async () => (await batch(`${dir}/**/*.{glb,gltf}`, `${dir}/components`, options)).map(({ file }) => file)
+
+    assert.deepStrictEqual(await run(), [`${dir}/models/scene.gltf`])
+    assert(fs.existsSync(`${dir}/public/models/scene-transformed.glb`), 'Should write the transformed copy')
+    assert.deepStrictEqual(await run(), [`${dir}/models/scene.gltf`], 'Should not convert its own output')
+    // Pointing into the output folder still finds models there
+    assert.deepStrictEqual(
+      (await resolveInputs([`${dir}/public/*.gltf`], { ignore: [`${dir}/public`] })).map(({ file }) => file),
+      [`${dir}/public/copy.gltf`]
+    )
+  })
+
+  it('should debounce changes in watch mode and keep going after errors', async () => {
+    const dir = 'test-output-watch'
+    fs.mkdirSync(dir, { recursive: true })
+    const changes = []
+    const logs = []
+    const stop = watch(
+      `${dir}/*.glb`,
+      async (file) => {
+        changes.push(file)
+        if (file.endsWith('broken.glb')) throw new Error('Unreadable')
+      },
+      { debounce: 50, log: (line) => logs.push(line) }
+    )
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+    await wait(50)
+    fs.writeFileSync(`${dir}/broken.glb`, 'a')
+    await wait(150)
+    fs.writeFileSync(`${dir}/car.glb`, 'a')
+    fs.writeFileSync(`${dir}/car.glb`, 'b')
+    fs.writeFileSync(`${dir}/notes.txt`, 'c')
+    await wait(300)
+    stop()
+
+    assert.deepStrictEqual(changes, [`${dir}/broken.glb`, `${dir}/car.glb`])
+    assert(logs[0].startsWith(`Failed ${dir}/broken.glb: Unreadable`), 'Should report errors')
+    assert(/^Regenerated test-output-watch\/car.glb in \d+ms$/.test(logs[1]), 'Should report timing')
+  })
+
+  it('should watch directories created while watching', async () => {
+    const dir = 'test-output-watch-tree'
+    fs.mkdirSync(`${dir}/cars`, { recursive: true })
+    const changes = []
+    const stop = watch(`${dir}/**/*.glb`, (file) => changes.push(file), { debounce: 50, log: () => {} })
+    const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+    await wait(50)
+    fs.writeFileSync(`${dir}/cars/car.glb`, 'a')
+    fs.mkdirSync(`${dir}/cars/trucks`)
+    await wait(150)
+    fs.writeFileSync(`${dir}/cars/trucks/truck.glb`, 'b')
+    await wait(300)
+    stop()
+
+    assert.deepStrictEqual(changes, [`${dir}/cars/car.glb`, `${dir}/cars/trucks/truck.glb`])
+  })
+
+  it('should not watch node_modules, dot folders, the output or missing folders', () => {
+    const dir = 'test-output-watch-skip'
+    for (const sub of ['models/cars', 'node_modules/dep', '.git/objects', 'components'])
+      fs.mkdirSync(path.join(dir, sub), { recursive: true })
+    const watched = []
+    const fsWatch = fs.watch
+    fs.watch = (target, ...args) => (watched.push(path.relative(dir, target)), fsWatch(target, ...args))
+    try {
+      const stop = watch([`${dir}/**/*.glb`, 'test-output-missing/**/*.glb'], () => {}, { ignore: [`${dir}/components`] })
+      stop()
+    } finally {
+      fs.watch = fsWatch
+    }
+    assert.deepStrictEqual(watched.sort(), ['', 'models', path.join('models', 'cars')])
+  })
+
+  it('should place output according to the consuming project', () => {
+    const project = (name, packageJson, dirs = []) => {
+      const root = path.resolve('test-output-project', name)
+      dirs.forEach((dir) => fs.mkdirSync(path.join(root, dir), { recursive: true }))
+      fs.mkdirSync(root, { recursive: true })
+      fs.writeFileSync(path.join(root, 'package.json'), JSON.stringify(packageJson))
+      return root
+    }
+    const vite = project('vite', { devDependencies: { vite: '^5.0.0' } })
+    const nuxt = project('nuxt', { dependencies: { nuxt: '^4.0.0' } }, ['app'])
+    const plain = project('plain', {}, ['models'])
+
+    assert.deepStrictEqual(detectProject(vite), {
+      framework: 'vite',
+      root: vite,
+      components: path.join(vite, 'src', 'components'),
+      public: path.join(vite, 'public'),
+    })
+    assert.strictEqual(detectProject(nuxt).components, path.join(nuxt, 'app', 'components'))
+    assert.strictEqual(detectProject(path.join(plain, 'models')).components, path.join(plain, 'models'))
+  })
+
+  it('should apply config defaults and per-model overrides', async () => {
+    const root = path.resolve('test-output-config')
+    fs.mkdirSync(path.join(root, 'hero'), { recursive: true })
+    fs.writeFileSync(path.join(root, 'hero', 'car.glb'), '')
+    fs.writeFileSync(
+      path.join(root, 'package.json'),
+      JSON.stringify({ gltfvue: { types: true, resolution: 1024, overrides: [{ files: 'hero/**', resolution: 4096 }] } })
+    )
+    const config = await loadConfig(root)
+
+    assert.strictEqual(resolveOptions(config, path.join(root, 'hero', 'car.glb')).resolution, 4096)
+    assert.strictEqual(resolveOptions(config, path.join(root, 'tree.glb')).resolution, 1024)
+    assert.strictEqual(resolveOptions(config, path.join(root, 'tree.glb')).precision, 3, 'Should fill in defaults')
+    const flags = { resolution: 512, types: undefined }
+    assert.deepStrictEqual(
+      (({ resolution, types }) => ({ resolution, types }))(resolveOptions(config, path.join(root, 'hero', 'car.glb'), flags)),
+      { resolution: 512, types: true },
+      'Should let passed flags win'
+    )
+
+    fs.writeFileSync(path.join(root, 'gltfvue.config.json'), JSON.stringify({ overrides: [{ files: '*.glb', resolutoin: 1 }] }))
+    await assert.rejects(loadConfig(root), {
+      message: 'Unknown option "resolutoin" in overrides[0] of gltfvue.config.json, did you mean "resolution"?',
+    })
+  })
+
+  it('should keep hand edits when merging a regenerated component', async () => {
+    const material = new THREE.MeshStandardMaterial({ name: 'paint' })
+    const model = (withDoor) => {
+      const scene = new THREE.Scene()
+      scene.add(Object.assign(new THREE.Mesh(new THREE.BoxGeometry(), material), { name: 'body' }))
+      if (withDoor) scene.add(Object.assign(new THREE.Mesh(new THREE.BoxGeometry(), material), { name: 'door' }))
+      scene.add(new THREE.PointLight(0xff0000, 2))
+      return scene
+    }
+    const edited =
+      (await parse(model(true), { console: true, precision: 3 }))
+        .replace('<TresMesh :geometry="nodes.body.geometry"', '<TresMesh v-if="open" :geometry="nodes.body.geometry"')
+        .replace(/(<TresMesh :geometry="nodes.door.geometry"[^>]*?)\s*\/>/, '$1 @click="toggle" />')
+        .replace(/(<TresPointLight[^>]*?)\s*\/>/, '$1><Html>hi</Html></TresPointLight>')
+        .replace('defineExpose', '// #region keep\nconst open = ref(true)\n// #endregion\n\ndefineExpose') +
+      '\n<style scoped>\n.label {\n  color: red;\n}\n</style>\n'
+
+    const { code, conflicts } = await merge(edited, await parse(model(false), { console: true, precision: 3 }))
+
+    assert(code.includes('<TresMesh :geometry="nodes.body.geometry" :material="materials.paint" v-if="open" />'), 'Should keep directives')
+    assert(/<TresPointLight[^>]*>\s*<Html>hi<\/Html>\s*<\/TresPointLight>/.test(code), 'Should keep hand-written children')
+    assert(code.includes('// #region keep\nconst open = ref(true)\n// #endregion\n\ndefineExpose'), 'Should keep marked regions')
+    assert(code.includes('<style scoped>'), 'Should keep other blocks')
+    assert(!code.includes('nodes.door'), 'Should drop the removed node')
+    assert.deepStrictEqual(
+      conflicts.map(({ key, reason }) => [key, reason]),
+      [['geometry:nodes.door.geometry', 'removed from the model']]
+    )
+  })
+
+  it('should replace the generated <script> block when merging a KTX2 component', async () => {
+    const scene = new THREE.Scene()
+    scene.add(Object.assign(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial()), { name: 'body' }))
+    const gltf = { scene, animations: [], parser: { json: { extensionsUsed: ['KHR_texture_basisu'] } } }
+    const generated = await parse(gltf, { console: true, precision: 3 })
+    assert(generated.includes('let ktx2Loader'), 'Should share the KTX2 loader')
+
+    const { code } = await merge(generated, generated)
+    const { descriptor, errors } = parseSFC(code)
+    assert.deepStrictEqual(errors, [])
+    assert(descriptor.script.content.includes('let ktx2Loader'))
+    assert.strictEqual(code.match(/<script>/g).length, 1, 'Should write a single <script> block')
+  })
+
+  it('should write a conversion report with --report', async () => {
+    const testOutputPath = getTestOutputPath('report')
+    await gltfjsx(testGltfPath, testOutputPath, { printwidth: 120, precision: 3, report: 'json' })
+
+    const reportPath = testOutputPath.replace(/\.vue$/, '.report.json')
+    assert(fs.existsSync(reportPath), 'Should write the report next to the component')
+    const report = JSON.parse(fs.readFileSync(reportPath, 'utf-8'))
+    assert.strictEqual(report.file, testGltfPath)
+    assert(report.size.original > 0, 'Should measure the model')
+    assert.strictEqual(report.size.transformed, null, 'Should not report a transform that did not run')
+    assert(report.vertices.original > 0 && report.triangles.original > 0, 'Should count geometry')
+    assert(report.drawCalls >= report.meshes, 'Should estimate draw calls')
+    assert(Array.isArray(report.textures) && Array.isArray(report.pruned), 'Should list textures and pruned nodes')
+  })
+
+  it('should reject with typed errors and leave no partial output', async () => {
+    const testOutputPath = getTestOutputPath('errors')
+    const brokenPath = getTestOutputPath('broken').replace(/\.vue$/, '.gltf')
+    const extensionPath = getTestOutputPath('extension').replace(/\.vue$/, '.gltf')
+    fs.writeFileSync(brokenPath, '{ "asset": ')
+    fs.writeFileSync(
+      extensionPath,
+      JSON.stringify({ asset: { version: '2.0' }, extensionsUsed: ['EXT_future'], extensionsRequired: ['EXT_future'] })
+    )
+
+    await assert.rejects(gltfjsx('missing.glb', testOutputPath, {}), MissingFileError)
+    await assert.rejects(gltfjsx(brokenPath, testOutputPath, {}), UnreadableModelError)
+    await assert.rejects(gltfjsx(extensionPath, testOutputPath, {}), (error) => {
+      assert(error instanceof UnsupportedExtensionError)
+      assert.deepStrictEqual(error.extensions, ['EXT_future'])
+      return true
+    })
+    await assert.rejects(gltfjsx(testGltfPath, testOutputPath, { report: 'pdf' }), InvalidOptionError)
+    // Anything the generator chokes on is a ParseError with the original as its cause
+    const scene = new THREE.Group().add(Object.assign(new THREE.Group(), { name: 'Empty' }))
+    const onPrune = () => {
+      throw new Error('Broken')
+    }
+    await assert.rejects(parse(scene, { console: true, onPrune }), (error) => {
+      assert(error instanceof ParseError)
+      assert.strictEqual(error.code, 'ERR_PARSE')
+      assert.strictEqual(error.cause.message, 'Broken')
+      return true
+    })
+    // So is a component Prettier can't format, e.g. with a broken .prettierrc
+    await assert.rejects(parse(new THREE.Group(), { console: true, prettier: { printWidth: 'wide' } }), ParseError)
+    assert(!fs.existsSync(testOutputPath), 'Should not write a component for a failed conversion')
+  })
+
+  it('should inspect the scene graph with type and name filters', () => {
+    const scene = new THREE.Scene()
+    const car = Object.assign(new THREE.Group(), { name: 'car' })
+    car.position.set(1, 0, 0)
+    const material = new THREE.MeshStandardMaterial({ name: 'rubber' })
+    car.add(Object.assign(new THREE.Mesh(new THREE.BoxGeometry(), material), { name: 'WheelLeft' }))
+    car.add(Object.assign(new THREE.Mesh(new THREE.BoxGeometry(), material), { name: 'Body', userData: { paint: 'red' } }))
+    scene.add(car, new THREE.PointLight())
+
+    const tree = inspectScene(scene)
+    assert.strictEqual(tree.children.length, 2)
+    assert.deepStrictEqual(tree.children[0].position, [1, 0, 0])
+    assert.strictEqual(tree.children[0].children[1].extras.paint, 'red')
+    assert.strictEqual(tree.children[0].children[0].vertices, 24)
+
+    const wheels = inspectScene(scene, { type: 'mesh', name: 'Wheel*' })
+    assert.deepStrictEqual(
+      wheels.children.map((node) => [node.name, node.children.map((child) => child.name)]),
+      [['car', ['WheelLeft']]]
+    )
+    assert(printTree(wheels).includes('└─ Mesh "WheelLeft"  material rubber, 24 vertices'))
+    assert.strictEqual(inspectScene(scene, { type: 'camera' }), null)
+  })
+
+  it('should group validator issues and block generation with --strict', async () => {
+    const result = await validate(testGltfPath)
+    assert.strictEqual(result.errors, 1)
+    assert.deepStrictEqual(result.issues.find((issue) => issue.severity === 'error'), {
+      severity: 'error',
+      code: 'NODE_MATRIX_NON_TRS',
+      message: 'Matrix must be decomposable to TRS.',
+      pointer: '/nodes/3/matrix',
+    })
+
+    const testOutputPath = getTestOutputPath('strict')
+    await assert.rejects(gltfjsx(testGltfPath, testOutputPath, { validate: true, strict: true }), ValidationError)
+    assert(!fs.existsSync(testOutputPath), 'Should not generate an invalid model')
+  })
+
+  it('should convert in memory without writing files', async () => {
+    const before = fs.readdirSync('.').length
+    const { sfc, types, glb, report } = await convert(testGltfPath, { transform: true, types: true, report: 'json' })
+    assert.strictEqual(fs.readdirSync('.').length, before, 'Should not write anything')
+    assert(sfc.includes("useGLTF('/scene-transformed.glb'"), 'Should load the transformed model')
+    assert(types.includes('GLTFResult'), 'Should return declarations')
+    assert(glb instanceof Uint8Array && glb.byteLength === report.size.transformed, 'Should return the GLB')
+
+    const again = await convert(glb, { fileName: 'models/car.glb' })
+    assert(again.sfc.includes("useGLTF('/models/car.glb'"), 'Should convert contents')
+    assert.strictEqual(again.glb, null)
+    assert.strictEqual(again.types, null)
+    assert.strictEqual(again.report, null)
+  })
+
+  it('should compile ?tres imports with the vite plugin', async () => {
+    const plugin = gltfvue()
+    const context = {
+      resolve: async (id) => ({ id: path.resolve(id) }),
+      addWatchFile: () => {},
+      emitFile: ({ name, source }) => `${name}:${source.byteLength}`,
+    }
+    plugin.configResolved({ command: 'serve', base: '/', root: process.cwd() })
+    assert.strictEqual(await plugin.resolveId.call(context, testGltfPath), null, 'Should leave plain imports alone')
+    const id = await plugin.resolveId.call(context, `${testGltfPath}?tres&keepnames`)
+    assert.strictEqual(id, path.resolve(testGltfPath) + '.tres-keepnames.vue')
+
+    const dev = await plugin.load.call(context, id)
+    assert(/useGLTF\("\/@gltfvue\/[0-9a-f]{8}\/scene\.glb"/.test(dev), 'Should serve the model from memory')
+    assert(dev.includes('<template>'), 'Should return a component')
+
+    plugin.configResolved({ command: 'build', base: '/', root: process.cwd() })
+    const build = await plugin.load.call(context, id)
+    assert(/useGLTF\(import\.meta\.ROLLUP_FILE_URL_scene\.glb:\d+/.test(build), 'Should emit the model as an asset')
+  })
+
+  it('should generate client-only model components with the nuxt module', async () => {
+    const rootDir = path.resolve(getTestOutputPath('nuxt').replace(/\.vue$/, ''))
+    fs.mkdirSync(path.join(rootDir, 'models'), { recursive: true })
+    for (const file of ['scene.gltf', 'scene.bin', 'textures'])
+      fs.cpSync(path.join('public', file), path.join(rootDir, 'models', file), { recursive: true })
+    const hooks = {}
+    const nuxt = {
+      options: { rootDir, buildDir: path.join(rootDir, '.nuxt'), dev: false },
+      hook: (name, fn) => (hooks[name] = fn),
+    }
+    await gltfvueModule({ resolution: 256 }, nuxt)
+    // Like nuxi build and dev, the buildDir is cleared after setup, only cache and analyze stay
+    fs.mkdirSync(nuxt.options.buildDir, { recursive: true })
+    for (const entry of fs.readdirSync(nuxt.options.buildDir)) {
+      if (entry !== 'cache' && entry !== 'analyze')
+        fs.rmSync(path.join(nuxt.options.buildDir, entry), { recursive: true, force: true })
+    }
+
+    const outDir = path.join(rootDir, '.nuxt', 'cache', 'gltfvue')
+    const dirs = []
+    hooks['components:dirs'](dirs)
+    assert.deepStrictEqual(dirs[0], {
+      path: path.join(outDir, 'wrappers'),
+      prefix: 'Model',
+      pathPrefix: false,
+      extensions: ['vue'],
+    })
+    const wrapper = fs.readFileSync(path.join(dirs[0].path, 'Scene.vue'), 'utf-8')
+    assert(wrapper.includes('<ClientOnly>') && wrapper.includes('defineAsyncComponent'), 'Should only render on the client')
+    assert(wrapper.includes('<Model ref="model"') && wrapper.includes('defineExpose({'), 'Should forward the ref')
+    const component = fs.readFileSync(path.join(outDir, 'components', 'Scene.vue'), 'utf-8')
+    assert(component.includes("useGLTF('/models/scene-transformed.glb'"), 'Should load the model from public')
+    assert(fs.existsSync(path.join(rootDir, 'public', 'models', 'scene-transformed.glb')), 'Should copy the model to public')
+  })
+
+  it('should reuse cached transforms until the model or options change', async () => {
+    const options = { transform: true, resolution: 256, cache: true }
+    assert.strictEqual(cacheKey(testGltfPath, options), cacheKey(testGltfPath, { ...options, types: true }))
+    assert.notStrictEqual(cacheKey(testGltfPath, options), cacheKey(testGltfPath, { ...options, resolution: 128 }))
+
+    const first = await convert(testGltfPath, options)
+    const second = await convert(testGltfPath, options)
+    assert(second.cached, 'Should skip the transform')
+    assert.deepStrictEqual(second.glb, first.glb)
+    assert.strictEqual(second.sfc, first.sfc)
+    const uncached = await convert(testGltfPath, { ...options, cache: false })
+    assert.strictEqual(uncached.cached, false, 'Should transform with --no-cache')
+    assert.strictEqual((await convert(testGltfPath, { transform: true })).cached, false, 'Should be off by default')
+  })
+
+  it('should not cache custom pipeline functions without a cachekey', async () => {
+    const options = (pivot) => ({ transform: true, cache: true, pipeline: ['dedup', center({ pivot })] })
+    assert.strictEqual(cacheKey(testGltfPath, options('below')), null, 'Should have no key')
+    await convert(testGltfPath, options('below'))
+    assert.strictEqual((await convert(testGltfPath, options('center'))).cached, false, 'Should run the changed step')
+
+    const keyed = { ...options('below'), cachekey: '1' }
+    await convert(testGltfPath, keyed)
+    assert((await convert(testGltfPath, keyed)).cached, 'Should cache with a cachekey')
+  })
+
+  it('should run a configurable transform pipeline with custom steps', async () => {
+    const names = (config) => resolvePipeline(config).map((step) => step.name)
+    assert(names({}).includes('flatten') && !names({}).includes('instance'))
+    const adjusted = names({ keepmeshes: true, pipeline: { flatten: false, instance: true } })
+    assert(!adjusted.includes('flatten') && !adjusted.includes('join'), 'Should remove steps')
+    assert.strictEqual(adjusted.indexOf('instance'), adjusted.indexOf('dedup') + 1, 'Should add steps in place')
+    assert.throws(() => resolvePipeline({ pipeline: { flaten: false } }), /Unknown transform step "flaten"/)
+
+    const tag = (document) => document.getRoot().listNodes().forEach((node) => node.setExtras({ tagged: true }))
+    const { sfc, report } = await convert(testGltfPath, {
+      transform: true,
+      cache: false,
+      meta: true,
+      report: 'json',
+      pipeline: ['dedup', tag, ['prune', { keepLeaves: true }]],
+    })
+    assert.deepStrictEqual(
+      report.steps.map((step) => step.name),
+      ['dedup', 'tag', 'prune']
+    )
+    assert(sfc.includes('tagged'), 'Should run custom functions')
+  })
+
+  it('should compress with meshopt and wire up its decoder', async () => {
+    const names = (config) => resolvePipeline(config).map((step) => step.name)
+    assert.strictEqual(names({ compression: 'meshopt' }).at(-1), 'meshopt')
+    assert(!names({ compression: 'none' }).some((name) => name === 'draco' || name === 'meshopt'))
+    assert.throws(() => resolvePipeline({ compression: 'brotli' }), InvalidOptionError)
+    assert.throws(() => resolvePipeline({ compression: 'brotli' }), /Unknown compression "brotli"/)
+    assert.throws(() => resolvePipeline({ pipeline: { meshopt: true } }), (error) => {
+      assert(error instanceof InvalidOptionError)
+      assert.strictEqual(error.option, 'pipeline')
+      assert.strictEqual(error.message, "draco and meshopt can't run together, pick one with --compression")
+      return true
+    })
+    assert.deepStrictEqual(names({ pipeline: { draco: false, meshopt: true } }).slice(-1), ['meshopt'])
+
+    const { sfc } = await convert(testGltfPath, { transform: true, cache: false, compression: 'meshopt' })
+    assert(sfc.includes('gltfLoader.setMeshoptDecoder(MeshoptDecoder)'), 'Should set the meshopt decoder')
+    assert(!sfc.includes('draco: true'), 'Should not ask for draco')
+  })
+
+  it('should quantize vertex attributes and preview the size impact', async () => {
+    assert.deepStrictEqual(quantizeBits({ quantize: 'position=12, normal=8', compression: 'meshopt' }), {
+      position: 12,
+      normal: 8,
+      texcoord: 12,
+      color: 8,
+      weight: 8,
+      generic: 12,
+    })
+    assert.throws(() => quantizeBits({ quantize: { pos: 12 } }), /Unknown quantize attribute "pos"/)
+    assert.throws(() => quantizeBits({ quantize: { normal: 20 } }), /from 1 to 16/)
+    // Draco has no weight setting, its weights use the generic bits
+    assert(!('weight' in quantizeBits({ compression: 'draco' })), 'Should leave weights out for draco')
+    assert.throws(() => quantizeBits({ quantize: { weight: 6 } }), /Draco quantizes weights with the generic bits/)
+
+    const document = await (await createIO({ console: true })).read(testGltfPath)
+    const preview = previewQuantization(document)
+    assert(preview.after < preview.before, 'Should estimate smaller vertex data')
+    assert(previewQuantization(document, { quantize: { normal: 8 } }).after < preview.after, 'Should use the bits')
+
+    const { glb, quantization } = await convert(testGltfPath, { transform: true, cache: false, compression: 'quantize' })
+    const json = JSON.parse(Buffer.from(glb.slice(20, 20 + new DataView(glb.buffer, glb.byteOffset).getUint32(12, true))))
+    assert(json.extensionsUsed.includes('KHR_mesh_quantization'), 'Should quantize without draco')
+    assert(!json.extensionsUsed.includes('KHR_draco_mesh_compression'))
+    assert(quantization.after < quantization.before)
+  })
+
+  it('should compress each texture by the first rule it matches', async () => {
+    assert.throws(() => textureRules({ textures: [{ slots: 'normalTexture' }] }), /Unknown key "slots"/)
+    assert.throws(() => textureRules({ textures: [{ format: 'gif' }] }), /Unknown format "gif"/)
+
+    const { report } = await convert(testGltfPath, {
+      transform: true,
+      cache: false,
+      report: 'json',
+      format: 'webp',
+      textures: [
+        { slot: 'baseColorTexture', name: '*Ground*', format: 'png', max: 128 },
+        { slot: 'emissive*', max: 256 },
+        { slot: '*', format: 'jpeg', max: 64 },
+      ],
+    })
+    const ground = report.textures.find((texture) => texture.name.includes('Ground_baseColor'))
+    assert.deepStrictEqual(ground.rule, { slot: 'baseColorTexture', name: '*Ground*', format: 'png', max: 128 })
+    assert.strictEqual(ground.after.mimeType, 'image/png')
+    assert.strictEqual(ground.after.width, 128)
+    const emissive = report.textures.filter((texture) => texture.after && texture.slots.includes('emissiveTexture'))
+    assert(emissive.length, 'Should keep the emissive maps')
+    for (const texture of emissive) {
+      assert.deepStrictEqual(texture.rule, { slot: 'emissive*', format: 'webp', max: 256 }, 'First match should win')
+      assert.deepStrictEqual([texture.after.mimeType, texture.after.width], ['image/webp', 256])
+    }
+  })
+
+  it('should encode ktx2 textures and set up the KTX2 loader', async () => {
+    const { sfc, glb, report } = await convert(testGltfPath, {
+      transform: true,
+      cache: false,
+      report: 'json',
+      format: 'ktx2',
+      resolution: 62,
+      transcoder: '/basis/',
+    })
+    const encoded = report.textures.filter((texture) => texture.after)
+    assert(encoded.length, 'Should keep textures')
+    for (const { after } of encoded) {
+      assert.strictEqual(after.mimeType, 'image/ktx2')
+      assert.deepStrictEqual([after.width % 4, after.height % 4], [0, 0], 'Should round to blocks of 4')
+    }
+    const json = JSON.parse(Buffer.from(glb.slice(20, 20 + new DataView(glb.buffer, glb.byteOffset).getUint32(12, true))))
+    assert(json.extensionsRequired.includes('KHR_texture_basisu'))
+    assert(sfc.includes('gltfLoader.setKTX2Loader(ktx2Loader)'), 'Should configure the KTX2 loader')
+    assert(sfc.includes(".setTranscoderPath('/basis/')"), 'Should use the transcoder path')
+    // One loader for every instance, it's declared outside of <script setup>
+    assert(/<script>[^]*let ktx2Loader[^]*<\/script>\s*<script setup>/.test(sfc), 'Should share the KTX2 loader')
+  })
+
+  it('should type every named node and the exposed refs', async () => {
+    const scene = new THREE.Scene()
+    const car = Object.assign(new THREE.Group(), { name: 'car' })
+    car.position.set(1, 0, 0)
+    car.add(Object.assign(new THREE.Mesh(new THREE.BoxGeometry(), new THREE.MeshStandardMaterial({ name: 'paint' })), { name: 'body' }))
+    scene.add(car, Object.assign(new THREE.Object3D(), { name: 'pivot' }))
+
+    const content = await parse(scene, { console: true, precision: 3, types: true, keepgroups: true })
+    const typed = content.slice(content.indexOf('nodes: {'), content.indexOf('materials: {'))
+    for (const [, name] of content.slice(content.indexOf('<template>')).matchAll(/nodes\.(\w+)/g)) {
+      assert(typed.includes(`${name}: THREE.`), `Should type nodes.${name}`)
+    }
+    assert(typed.includes('car: THREE.Group'), 'Should type named groups')
+    assert(typed.includes('pivot: THREE.Object3D'), 'Should type named objects')
+
+    const declaration = printDeclaration({ scene, animations: [new THREE.AnimationClip('Drive', 1, [])] })
+    assert(declaration.includes('export interface ModelExposed {'), 'Should declare what the component exposes')
+    assert(declaration.includes('group: THREE.Group | undefined'))
+    assert(declaration.includes('actions: Record<ActionName, THREE.AnimationAction>'))
+    assert(declaration.includes('DefineComponent<ModelProps, ModelExposed>'), 'Should put the exposed refs on the instance')
+  })
+
+  it('should match overrides against the model path without reading the disk', () => {
+    const root = path.resolve('test-output-missing-root')
+    const config = { root, options: {}, overrides: [{ files: ['hero/**', 'props/*.glb'], resolution: 4096 }] }
+    const resolution = (file) => resolveOptions(config, path.join(root, file)).resolution
+
+    assert.strictEqual(resolution('hero/cars/car.glb'), 4096, 'Should match models that were not written yet')
+    assert.strictEqual(resolution('props/crate.glb'), 4096)
+    assert.strictEqual(resolution('props/crates/crate.glb'), 1024)
+    assert.strictEqual(resolveOptions(config, path.resolve('hero/car.glb')).resolution, 1024, 'Should stay inside the root')
+  })
+
+  it('should replace the model url in any quotes and drop stale models on reload', async () => {
+    const dir = path.resolve(getTestOutputPath('vite-reload').replace(/\.vue$/, ''))
+    fs.mkdirSync(dir, { recursive: true })
+    for (const file of ['scene.gltf', 'scene.bin', 'textures'])
+      fs.cpSync(path.join('public', file), path.join(dir, file), { recursive: true })
+    const file = path.join(dir, 'scene.gltf')
+    const plugin = gltfvue({ prettier: { singleQuote: false } })
+    const context = { resolve: async (id) => ({ id: path.resolve(id) }), addWatchFile: () => {} }
+    const middlewares = []
+    plugin.configResolved({ command: 'serve', base: '/', root: dir })
+    plugin.configureServer({ middlewares: { use: (fn) => middlewares.push(fn) } })
+    // Whether the dev server answers a request for the url or passes it on
+    const serves = (url) => {
+      let served = false
+      middlewares[0]({ url }, { setHeader: () => {}, end: () => (served = true) }, () => {})
+      return served
+    }
+    const modelUrl = (sfc) => sfc.match(/useGLTF\("(\/@gltfvue\/[^"]+)"/)?.[1]
+
+    const id = await plugin.resolveId.call(context, `${file}?tres`)
+    const first = modelUrl(await plugin.load.call(context, id))
+    assert(first, 'Should replace a double quoted url')
+    assert(serves(first))
+
+    const gltf = JSON.parse(fs.readFileSync(file, 'utf-8'))
+    gltf.nodes[0].name += 'Edited'
+    fs.writeFileSync(file, JSON.stringify(gltf))
+    assert.strictEqual(await plugin.resolveId.call(context, `${file}?tres`), id)
+    const second = modelUrl(await plugin.load.call(context, id))
+    assert.notStrictEqual(second, first, 'Should serve the edited model under a new url')
+    assert(serves(second))
+    assert(!serves(first), 'Should drop the previous model')
+  })
+})
@@ -0,0 +1,165 @@
+import fs from 'fs'
+import path from 'path'
+import fg from 'fast-glob'
+import gltfjsx from '../gltfjsx.js'
+
+const MODEL_EXTENSIONS = ['glb', 'gltf']
+// Never models to convert, dependencies and the transformed copies gltfvue writes itself
+const IGNORE = ['**/node_modules/**', '**/*-transformed.glb']
+
+function toPascalCase(str) {
+  const name = str
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('')
+  // Component names can't start with a digit
+  return /^[0-9]/.test(name) ? 'Model' + name : name || 'Model'
+}
+
+/** Leading path segments without glob magic, matches are mirrored relative to it */
+function globBase(pattern) {
+  const segments = pattern.split('/')
+  const index = segments.findIndex((segment) => segment && fg.isDynamicPattern(segment))
+  if (index === -1) return path.dirname(pattern)
+  return segments.slice(0, index).join('/') || '.'
+}
+
+function isPattern(input) {
+  return fg.isDynamicPattern(input) || (fs.existsSync(input) && fs.statSync(input).isDirectory())
+}
+
+/**
+ * Folders a pattern must not descend into, in the pattern's form: fast-glob matches ignore
+ * patterns against relative or absolute paths like the pattern's own. An output folder is only
+ * skipped when the pattern's base isn't inside it, `public/models/*.glb` still finds models.
+ */
+function ignoreDirs(pattern, dirs) {
+  const base = path.resolve(globBase(pattern))
+  return dirs
+    .filter(Boolean)
+    .map((dir) => path.resolve(dir))
+    .filter((dir) => path.relative(dir, base).startsWith('..'))
+    .map((dir) => (path.isAbsolute(pattern) ? dir : path.relative(process.cwd(), dir)).replace(/\\/g, '/') + '/**')
+}
+
+/**
+ * Expands directories and glob patterns into { file, base } entries, files are listed once.
+ * node_modules, transformed copies and the `ignore` folders (where output goes) are skipped.
+ */
+async function resolveInputs(inputs, { ignore = [] } = {}) {
+  const seen = new Set()
+  const entries = []
+  for (const input of inputs) {
+    let pattern = input.replace(/\\/g, '/')
+    if (!fg.isDynamicPattern(pattern) && fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+      pattern = path.posix.join(pattern, `**/*.{${MODEL_EXTENSIONS.join(',')}}`)
+    }
+    const base = globBase(pattern)
+    const files = await fg(pattern, { onlyFiles: true, ignore: [...IGNORE, ...ignoreDirs(pattern, ignore)] })
+    for (const file of files.sort()) {
+      if (seen.has(path.resolve(file))) continue
+      seen.add(path.resolve(file))
+      entries.push({ file, base })
+    }
+  }
+  return entries
+}
+
+/** Assigns unique component names, clashes are prefixed with their folders, then numbered */
+function nameComponents(entries) {
+  const taken = new Set()
+  return entries.map((entry) => {
+    const relative = path.relative(entry.base, entry.file)
+    const { dir, name } = path.parse(relative)
+    let componentName = toPascalCase(name)
+    if (taken.has(componentName) && dir) componentName = toPascalCase(dir) + componentName
+    const candidate = componentName
+    for (let i = 2; taken.has(componentName); i++) componentName = candidate + i
+    taken.add(componentName)
+    return { ...entry, name: componentName, output: path.join(path.dirname(relative), componentName + '.vue') }
+  })
+}
+
+function printBarrel(results) {
+  return (
+    results
+      .filter((result) => !result.error)
+      .map((result) => `export { default as ${result.name} } from './${result.output.replace(/\\/g, '/')}'`)
+      .join('\n') + '\n'
+  )
+}
+
+function printSummary(results, outDir) {
+  const rows = results.map((result) => [
+    result.name,
+    result.file,
+    result.error ? '-' : path.join(outDir, result.output),
+    result.error
+      ? `failed: ${result.error.message ?? result.error}`
+      : `${result.time}ms${result.cached ? ' (cached)' : ''}`,
+  ])
+  const header = ['Component', 'Source', 'Output', 'Status']
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)))
+  const printRow = (row) =>
+    row
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join('  ')
+      .trimEnd()
+  return [printRow(header), widths.map((width) => '-'.repeat(width)).join('  '), ...rows.map(printRow)].join('\n')
+}
+
+/** Converts a single entry from nameComponents into outDir, resolves with { cached } */
+async function convertEntry(entry, outDir, options = {}) {
+  const output = path.join(outDir, entry.output)
+  // Serve models from the mirrored layout unless a root was given
+  let root = entry.base
+  let publicdir = options.publicdir
+  if (options.transform || options.instance || options.instanceall) {
+    // Transformed copies are mirrored into the public folder (or next to the components)
+    root = options.publicdir ?? outDir
+    publicdir = path.join(root, path.dirname(entry.output))
+  }
+  return gltfjsx(entry.file, output, { ...options, root: options.root ?? root, publicdir })
+}
+
+function writeBarrel(results, outDir, options = {}) {
+  if (!results.some((result) => !result.error)) return
+  fs.writeFileSync(path.join(outDir, options.types ? 'index.ts' : 'index.js'), printBarrel(results))
+}
+
+/**
+ * Converts every model matched by the inputs (files, directories or glob patterns) into outDir,
+ * mirroring the folders below each pattern's static base. Models are converted one after another,
+ * a failing model is recorded and doesn't stop the batch. Options can be a function that returns
+ * the options for a file, e.g. to apply per-model config overrides.
+ */
+async function batch(inputs, outDir, options = {}) {
+  const optionsFor = typeof options === 'function' ? options : () => options
+  const entries = nameComponents(await resolveInputs([].concat(inputs), { ignore: [outDir, optionsFor().publicdir] }))
+  const results = []
+  for (const entry of entries) {
+    const start = Date.now()
+    try {
+      const { cached } = await convertEntry(entry, outDir, optionsFor(entry.file))
+      results.push({ ...entry, time: Date.now() - start, cached })
+    } catch (error) {
+      results.push({ ...entry, error })
+    }
+  }
+  if (optionsFor().index) writeBarrel(results, outDir, optionsFor())
+  return results
+}
+
+export {
+  batch,
+  convertEntry,
+  writeBarrel,
+  isPattern,
+  globBase,
+  resolveInputs,
+  nameComponents,
+  printSummary,
+  printBarrel,
+  toPascalCase,
+}
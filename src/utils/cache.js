@@ -0,0 +1,97 @@
+import fs from 'fs'
+import path from 'path'
+import { createHash } from 'crypto'
+import { fileURLToPath } from 'url'
+import { readPackageUpSync } from 'read-pkg-up'
+import { modelFiles } from './report.js'
+import detectProject from './project.js'
+
+let version = null
+
+/** gltfvue's own version, looked up from this file so it works from src/utils and from dist */
+function packageVersion() {
+  if (!version) {
+    const cwd = path.dirname(fileURLToPath(import.meta.url))
+    version = readPackageUpSync({ cwd, normalize: false }).packageJson.version
+  }
+  return version
+}
+
+// Options transformDocument reads, anything else doesn't change the transformed model
+const TRANSFORM_OPTIONS = [
+  'resolution',
+  'degrade',
+  'degraderesolution',
+  'simplify',
+  'keepmeshes',
+  'keepmaterials',
+  'format',
+  'ratio',
+  'error',
+  'compression',
+  'meshoptlevel',
+  'quantize',
+  'textures',
+  'pipeline',
+  'cachekey',
+]
+
+/** Where transformed models are kept, the project's node_modules/.cache like most build tools */
+function cacheDir(cwd = process.cwd()) {
+  return path.join(detectProject(cwd).root, 'node_modules', '.cache', 'gltfvue')
+}
+
+function hasFunctions(value) {
+  if (typeof value === 'function') return true
+  return !!value && typeof value === 'object' && Object.values(value).some(hasFunctions)
+}
+
+/**
+ * Key for a transformed model: the contents of the model and the files it references, the
+ * transform options and the gltfvue version, so upgrading never serves a stale model.
+ * `input` is a path or the contents of a model. A pipeline with functions of your own has no key
+ * unless `cachekey` is set, they're closures and their source doesn't change with their options.
+ */
+function cacheKey(input, options = {}) {
+  if (options.cachekey == null && hasFunctions(options.pipeline)) return null
+  const hash = createHash('sha256').update(packageVersion())
+  const settings = TRANSFORM_OPTIONS.map((key) => [key, options[key] ?? null])
+  hash.update(
+    JSON.stringify(settings, (key, value) =>
+      typeof value === 'function' || value instanceof RegExp ? value.toString() : value
+    )
+  )
+  if (typeof input === 'string') {
+    // Resources are hashed by their path relative to the model, moving the folder keeps the key
+    for (const file of modelFiles(input)) {
+      hash.update(path.relative(path.dirname(input), file)).update(fs.readFileSync(file))
+    }
+  } else hash.update(input)
+  return hash.digest('hex')
+}
+
+/** { glb, result } of an earlier transform, or null */
+function readCache(key, dir = cacheDir()) {
+  const file = path.join(dir, key)
+  try {
+    const result = JSON.parse(fs.readFileSync(file + '.json', 'utf-8'))
+    return { glb: new Uint8Array(fs.readFileSync(file + '.glb')), result }
+  } catch {
+    // Missing or half written, either way it's transformed again
+    return null
+  }
+}
+
+/** Stores a transform, the .json is written last and only then is the entry read back */
+function writeCache(key, glb, result, dir = cacheDir()) {
+  const file = path.join(dir, key)
+  try {
+    fs.mkdirSync(dir, { recursive: true })
+    fs.writeFileSync(file + '.glb', glb)
+    fs.writeFileSync(file + '.json', JSON.stringify(result))
+  } catch {
+    // A read-only project just isn't cached
+  }
+}
+
+export { cacheDir, cacheKey, readCache, writeCache, TRANSFORM_OPTIONS }
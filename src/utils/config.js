@@ -0,0 +1,189 @@
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import picomatch from 'picomatch'
+
+const CONFIG_FILES = ['gltfvue.config.js', 'gltfvue.config.mjs', 'gltfvue.config.cjs', 'gltfvue.config.json']
+
+/** Every option a config file may set and its type, codegen options first, then transform options */
+const OPTIONS = {
+  output: 'string',
+  index: 'boolean',
+  publicdir: 'string',
+  demo: 'boolean',
+  merge: 'boolean',
+  report: 'string',
+  validate: 'boolean',
+  strict: 'boolean',
+  types: 'boolean',
+  keepnames: 'boolean',
+  keepgroups: 'boolean',
+  hierarchy: 'boolean',
+  keepnodes: ['string', 'array'],
+  bones: 'boolean',
+  shadows: 'boolean',
+  printwidth: 'number',
+  tabwidth: 'number',
+  singleattribute: 'boolean',
+  prettierrc: 'boolean',
+  prettier: 'object',
+  meta: 'boolean',
+  precision: 'number',
+  draco: 'string',
+  transcoder: 'string',
+  root: 'string',
+  instance: 'boolean',
+  instanceall: 'boolean',
+  exportdefault: 'boolean',
+  console: 'boolean',
+  debug: 'boolean',
+  watch: 'boolean',
+  debounce: 'number',
+  transform: 'boolean',
+  resolution: 'number',
+  degrade: 'string',
+  degraderesolution: 'number',
+  simplify: 'boolean',
+  keepmeshes: 'boolean',
+  keepmaterials: 'boolean',
+  format: 'string',
+  ratio: 'number',
+  error: 'number',
+  compression: 'string',
+  meshoptlevel: 'string',
+  quantize: ['string', 'object'],
+  textures: 'array',
+  pipeline: ['array', 'object'],
+  cache: 'boolean',
+  cachekey: 'string',
+}
+
+const DEFAULTS = {
+  index: false,
+  demo: false,
+  bones: false,
+  printwidth: 120,
+  tabwidth: 2,
+  singleattribute: false,
+  prettierrc: false,
+  precision: 3,
+  resolution: 1024,
+  degrade: '',
+  degraderesolution: 512,
+  simplify: false,
+  keepmeshes: false,
+  keepmaterials: false,
+  format: 'webp',
+  ratio: 0.75,
+  error: 0.001,
+  compression: 'draco',
+  meshoptlevel: 'high',
+  cache: true,
+  debounce: 200,
+}
+
+function distance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0]
+    row[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j]
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1))
+      previous = current
+    }
+  }
+  return row[b.length]
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array'
+  return value === null ? 'null' : typeof value
+}
+
+function validateOptions(options, where) {
+  if (typeOf(options) !== 'object') throw new Error(`${where} must be an object, got ${typeOf(options)}`)
+  for (const [key, value] of Object.entries(options)) {
+    if (!(key in OPTIONS)) {
+      const suggestion = Object.keys(OPTIONS).find((option) => distance(key, option) <= 2)
+      throw new Error(`Unknown option "${key}" in ${where}${suggestion ? `, did you mean "${suggestion}"?` : ''}`)
+    }
+    const types = [].concat(OPTIONS[key])
+    if (!types.includes(typeOf(value)))
+      throw new Error(`Option "${key}" in ${where} must be a ${types.join(' or ')}, got ${typeOf(value)}`)
+  }
+}
+
+/** Throws on unknown keys and wrong types, `where` names the config in messages */
+function validateConfig(config, where) {
+  const { overrides = [], ...options } = config ?? {}
+  validateOptions(options, where)
+  if (!Array.isArray(overrides)) throw new Error(`"overrides" in ${where} must be an array`)
+  overrides.forEach(({ files, ...options }, i) => {
+    const location = `overrides[${i}] of ${where}`
+    if (typeof files !== 'string' && !(Array.isArray(files) && files.every((file) => typeof file === 'string')))
+      throw new Error(`${location} needs "files", a glob or an array of globs`)
+    validateOptions(options, location)
+  })
+}
+
+async function readConfig(file) {
+  if (file.endsWith('.json')) return JSON.parse(fs.readFileSync(file, 'utf-8'))
+  const module = await import(pathToFileURL(file).href)
+  return module.default
+}
+
+/**
+ * Loads gltfvue.config.{js,mjs,cjs,json} or the "gltfvue" key of package.json from cwd, or the
+ * given file. Returns { file, root, options, overrides }, an empty config if there is none.
+ */
+async function loadConfig(cwd = process.cwd(), file) {
+  let config
+  let where
+  if (file) {
+    file = path.resolve(cwd, file)
+    if (!fs.existsSync(file)) throw new Error(`Config file ${file} does not exist`)
+    config = await readConfig(file)
+    where = path.basename(file)
+  } else {
+    file = CONFIG_FILES.map((name) => path.join(cwd, name)).find((candidate) => fs.existsSync(candidate))
+    if (file) {
+      config = await readConfig(file)
+      where = path.basename(file)
+    } else if (fs.existsSync(path.join(cwd, 'package.json'))) {
+      config = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf-8')).gltfvue
+      if (config) {
+        file = path.join(cwd, 'package.json')
+        where = 'package.json#gltfvue'
+      }
+    }
+  }
+  if (!config) return { file: null, root: cwd, options: {}, overrides: [] }
+  validateConfig(config, where)
+  const { overrides = [], ...options } = config
+  return { file, root: path.dirname(file), options, overrides }
+}
+
+// The path is matched as it is, the model doesn't have to exist yet and nothing is read from disk
+function matches({ files }, file, root) {
+  const relative = path.relative(root, path.resolve(file)).replace(/\\/g, '/')
+  return picomatch(files)(relative)
+}
+
+/**
+ * Options for a model: defaults, then the config's options, then every override whose files
+ * match (in order), then the command line flags. Without a file overrides are skipped.
+ */
+function resolveOptions(config, file, flags = {}) {
+  const options = { ...DEFAULTS, ...config.options }
+  if (file) {
+    config.overrides
+      .filter((override) => matches(override, file, config.root))
+      .forEach(({ files, ...override }) => Object.assign(options, override))
+  }
+  // Flags that weren't passed are undefined and must not clear the config
+  Object.entries(flags).forEach(([key, value]) => value !== undefined && (options[key] = value))
+  return options
+}
+
+export { loadConfig, validateConfig, resolveOptions, DEFAULTS, OPTIONS }
@@ -0,0 +1,114 @@
+import path from 'path'
+import { createIO, transformDocument } from './transform.js'
+import load from './load.js'
+import parse from './parser.js'
+import { printDeclaration } from './types.js'
+import { createReport, describeDocument, modelSize } from './report.js'
+import { validate } from './validate.js'
+import { cacheKey, readCache, writeCache } from './cache.js'
+import { TransformError, ValidationError, checkData, checkModel } from './errors.js'
+
+function formatSize(bytes) {
+  const kb = Math.round(bytes / 10) / 100
+  return kb > 1000 ? `${Math.round(kb / 10) / 100}MB` : `${kb}KB`
+}
+
+function isBinary(data) {
+  return data.byteLength >= 4 && Buffer.from(data.buffer, data.byteOffset, 4).toString('utf-8') === 'glTF'
+}
+
+/**
+ * Converts a model into a component without touching the disk. `input` is a path or the contents
+ * of a .glb or self-contained .gltf. Resolves with { sfc, types, glb, cached, quantization, report }:
+ * the component, its declarations with `types`, the transformed model with `transform` and the
+ * report with `report`, null for what wasn't asked for. `cache: true` reuses and stores transforms
+ * in the project's node_modules/.cache, `cached` tells whether the transform was skipped.
+ * `quantization` estimates what quantizing the vertex attributes saved. `fileName` is the path the
+ * component loads the model from.
+ */
+async function convert(input, options = {}) {
+  const file = typeof input === 'string' ? input : null
+  const transform = options.transform || options.instance || options.instanceall
+  const fallback = file ? path.basename(file) : 'model.glb'
+  const fileName =
+    options.fileName ?? (transform ? path.parse(fallback).name + '-transformed.glb' : fallback.replace(/\\/g, '/'))
+  // Messages and the report name the model by its path, or by where it will be loaded from
+  const name = file ?? fileName
+
+  if (options.validate) {
+    const result = await validate(input, { name })
+    options.onValidate?.(result)
+    if (options.strict && result.errors) throw new ValidationError(name, result)
+  }
+  const data = file ? checkModel(file) : input
+  if (!file) checkData(data, name)
+  // A .gltf is measured with its buffers and images
+  const originalSize = file ? modelSize(file) : data.byteLength
+
+  const io = transform || options.report ? await createIO(options) : null
+  const read = () =>
+    file
+      ? io.read(file)
+      : isBinary(data)
+        ? io.readBinary(new Uint8Array(data))
+        : io.readJSON({ json: JSON.parse(Buffer.from(data).toString('utf-8')), resources: {} })
+
+  let glb = null
+  let cached = false
+  let transformed = null
+  let original = null
+  let size = ''
+  if (transform) {
+    // Unchanged models with the same transform options come out of node_modules/.cache
+    const key = options.cache ? cacheKey(file ?? data, options) : null
+    const hit = key && readCache(key)
+    if (hit) {
+      glb = hit.glb
+      transformed = hit.result
+      cached = true
+    } else {
+      try {
+        const document = await read()
+        transformed = await transformDocument(document, options)
+        glb = await io.writeBinary(document)
+      } catch (error) {
+        throw new TransformError(name, error)
+      }
+      if (key) writeCache(key, glb, transformed)
+    }
+    transformed.size = glb.byteLength
+    size = `${name} [${formatSize(originalSize)}] > ${fileName} [${formatSize(glb.byteLength)}] (${Math.round(
+      100 - (glb.byteLength / originalSize) * 100
+    )}%)`
+  } else if (options.report) {
+    // Without a transform the original document is all there is to describe
+    original = describeDocument(await read())
+  }
+
+  const gltf = await load(glb ?? data, name)
+  const pruned = []
+  const onPrune = (node) => {
+    pruned.push(node)
+    options.onPrune?.(node)
+  }
+  const sfc = await parse(gltf, { ...options, fileName, size, onPrune })
+  return {
+    sfc,
+    types: options.types ? printDeclaration(gltf) : null,
+    glb,
+    cached,
+    quantization: transformed?.quantization ?? null,
+    report: options.report
+      ? createReport({
+          file: name,
+          output: options.output ?? null,
+          size: originalSize,
+          original,
+          transformed,
+          pruned,
+        })
+      : null,
+  }
+}
+
+export default convert
@@ -0,0 +1,128 @@
+import fs from 'fs'
+import path from 'path'
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions'
+
+/** Base class of every error gltfjsx() rejects with on purpose, `code` is stable for scripts */
+class GltfvueError extends Error {
+  constructor(message, { file, cause } = {}) {
+    super(message, { cause })
+    this.name = this.constructor.name
+    this.code = 'ERR_GLTFVUE'
+    this.file = file
+  }
+}
+
+class MissingFileError extends GltfvueError {
+  constructor(file) {
+    super(`${file} does not exist`, { file })
+    this.code = 'ERR_MISSING_FILE'
+  }
+}
+
+class UnreadableModelError extends GltfvueError {
+  constructor(file, cause) {
+    super(`${file} could not be read: ${cause?.message ?? cause}`, { file, cause })
+    this.code = 'ERR_UNREADABLE_MODEL'
+  }
+}
+
+class UnsupportedExtensionError extends GltfvueError {
+  constructor(file, extensions) {
+    super(`${file} requires unsupported extensions: ${extensions.join(', ')}`, { file })
+    this.code = 'ERR_UNSUPPORTED_EXTENSION'
+    this.extensions = extensions
+  }
+}
+
+class TransformError extends GltfvueError {
+  constructor(file, cause) {
+    super(`Transforming ${file} failed: ${cause?.message ?? cause}`, { file, cause })
+    this.code = 'ERR_TRANSFORM'
+  }
+}
+
+class ParseError extends GltfvueError {
+  constructor(file, cause) {
+    super(`Generating the component for ${file} failed: ${cause?.message ?? cause}`, { file, cause })
+    this.code = 'ERR_PARSE'
+  }
+}
+
+class InvalidOptionError extends GltfvueError {
+  constructor(option, message) {
+    super(message)
+    this.code = 'ERR_INVALID_OPTION'
+    this.option = option
+  }
+}
+
+class ValidationError extends GltfvueError {
+  constructor(file, result) {
+    super(`${file} failed validation with ${result.errors} error${result.errors === 1 ? '' : 's'}`, { file })
+    this.code = 'ERR_VALIDATION'
+    this.issues = result.issues
+  }
+}
+
+const GLB_MAGIC = 0x46546c67
+const JSON_CHUNK = 0x4e4f534a
+
+/** The JSON part of a .gltf or .glb */
+function readJson(data) {
+  if (data.length >= 20 && data.readUInt32LE(0) === GLB_MAGIC) {
+    const length = data.readUInt32LE(12)
+    if (data.readUInt32LE(16) !== JSON_CHUNK) throw new Error('glTF-Binary without a JSON chunk')
+    return JSON.parse(data.subarray(20, 20 + length).toString('utf-8'))
+  }
+  return JSON.parse(data.toString('utf-8'))
+}
+
+/**
+ * Makes sure the contents of a model can be converted, `file` names it in errors. Throws
+ * UnreadableModelError or UnsupportedExtensionError, returns the glTF JSON.
+ */
+function checkData(data, file) {
+  let json
+  try {
+    json = readJson(Buffer.from(data.buffer, data.byteOffset, data.byteLength))
+    if (!json?.asset) throw new Error('not a glTF asset')
+    if (!(parseFloat(json.asset.version) >= 2)) throw new Error('only glTF 2.0 is supported')
+  } catch (error) {
+    throw new UnreadableModelError(file, error)
+  }
+  // Everything glTF-Transform knows can be read and rewritten, the rest can't be ignored if it's required
+  const supported = new Set(ALL_EXTENSIONS.map((extension) => extension.EXTENSION_NAME))
+  const unsupported = (json.extensionsRequired ?? []).filter((name) => !supported.has(name))
+  if (unsupported.length) throw new UnsupportedExtensionError(file, unsupported)
+  return json
+}
+
+/**
+ * Reads a model and makes sure it can be converted, before anything is written. Throws
+ * MissingFileError, UnreadableModelError or UnsupportedExtensionError, returns the file's contents.
+ */
+function checkModel(file) {
+  if (!fs.existsSync(file) || !fs.statSync(file).isFile()) throw new MissingFileError(file)
+  const data = fs.readFileSync(file)
+  const json = checkData(data, file)
+  // Buffers of a .gltf are referenced by path
+  for (const { uri } of json.buffers ?? []) {
+    if (!uri || uri.startsWith('data:')) continue
+    const buffer = path.resolve(path.dirname(file), decodeURIComponent(uri))
+    if (!fs.existsSync(buffer)) throw new UnreadableModelError(file, new Error(`buffer ${uri} does not exist`))
+  }
+  return data
+}
+
+export {
+  GltfvueError,
+  MissingFileError,
+  UnreadableModelError,
+  UnsupportedExtensionError,
+  TransformError,
+  ParseError,
+  InvalidOptionError,
+  ValidationError,
+  checkData,
+  checkModel,
+}
@@ -1,4 +1,27 @@
 import parse from './parser.js'
+import convert from './convert.js'
 import { GLTFLoader as GLTFStructureLoader } from '../bin/GLTFLoader.js'
+import {
+  GltfvueError,
+  MissingFileError,
+  UnreadableModelError,
+  UnsupportedExtensionError,
+  TransformError,
+  ParseError,
+  InvalidOptionError,
+  ValidationError,
+} from './errors.js'
 
-export { parse, GLTFStructureLoader }
+export {
+  parse,
+  convert,
+  GLTFStructureLoader,
+  GltfvueError,
+  MissingFileError,
+  UnreadableModelError,
+  UnsupportedExtensionError,
+  TransformError,
+  ParseError,
+  InvalidOptionError,
+  ValidationError,
+}
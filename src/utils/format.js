@@ -0,0 +1,19 @@
+import * as prettier from 'prettier'
+
+/** Formats a generated SFC, options are the CLI's (printwidth, tabwidth, singleattribute, prettier) */
+function format(code, options = {}) {
+  return prettier.format(code, {
+    semi: false,
+    singleQuote: true,
+    printWidth: options.printwidth || 120,
+    tabWidth: options.tabwidth || 2,
+    singleAttributePerLine: !!options.singleattribute,
+    // Tres elements never hold text, whitespace between them is irrelevant
+    htmlWhitespaceSensitivity: 'ignore',
+    // Picked up from the consuming project's .prettierrc
+    ...options.prettier,
+    parser: 'vue',
+  })
+}
+
+export default format
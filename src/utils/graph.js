@@ -0,0 +1,29 @@
+/** Bound prop, printed as :key="expression" */
+function expr(expression) {
+  return { expression: String(expression) }
+}
+
+/** Template element: tag, props (key -> true | string | expr) and child elements */
+function createNode(tag, props = {}, children = [], object) {
+  return { tag, props, children, object }
+}
+
+function printProp(key, value) {
+  if (value === true) return key
+  if (typeof value === 'object') {
+    const quote = value.expression.includes('"') ? "'" : '"'
+    return `:${key}=${quote}${value.expression}${quote}`
+  }
+  return `${key}="${String(value).replace(/"/g, '&quot;')}"`
+}
+
+function printNode({ tag, props, children }, depth = 0) {
+  const indent = '  '.repeat(depth)
+  const attributes = Object.entries(props)
+    .map(([key, value]) => ' ' + printProp(key, value))
+    .join('')
+  if (!children.length) return `${indent}<${tag}${attributes} />\n`
+  return `${indent}<${tag}${attributes}>\n${children.map((child) => printNode(child, depth + 1)).join('')}${indent}</${tag}>\n`
+}
+
+export { expr, createNode, printNode }
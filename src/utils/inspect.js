@@ -0,0 +1,73 @@
+import { checkModel } from './errors.js'
+import load from './load.js'
+import wildcard from './wildcard.js'
+
+function describeNode(obj, precision) {
+  const round = (values) => values.map((value) => parseFloat(value.toFixed(precision)))
+  const materials = [].concat(obj.material ?? []).map((material) => material.name)
+  // The loader keeps the unsanitized node name in userData, everything else are the glTF extras
+  const { name, ...extras } = obj.userData
+  return {
+    type: obj.type,
+    name: obj.name,
+    position: round(obj.position.toArray()),
+    rotation: round([obj.rotation.x, obj.rotation.y, obj.rotation.z]),
+    scale: round(obj.scale.toArray()),
+    material: materials.length > 1 ? materials : materials[0] ?? null,
+    vertices: obj.geometry?.attributes.position?.count ?? null,
+    extras: Object.keys(extras).length ? extras : null,
+    children: [],
+  }
+}
+
+/**
+ * The scene graph of a loaded glTF as plain objects. `type` and `name` filter by wildcard
+ * ("mesh", "Wheel*"), types ignore case. Filtered trees keep the ancestors of every match.
+ */
+function inspectScene(scene, { type, name, precision = 3 } = {}) {
+  const typePattern = type && wildcard(type.toLowerCase())
+  const namePattern = name && wildcard(name)
+  const matches = (obj) =>
+    (!typePattern || typePattern.test(obj.type.toLowerCase())) && (!namePattern || namePattern.test(obj.name))
+  function walk(obj) {
+    const node = describeNode(obj, precision)
+    node.children = obj.children.map(walk).filter(Boolean)
+    return matches(obj) || node.children.length ? node : null
+  }
+  return walk(scene)
+}
+
+/** Loads a model and returns its scene graph, see inspectScene */
+async function inspect(file, options = {}) {
+  const gltf = await load(checkModel(file), file)
+  return inspectScene(gltf.scene, options)
+}
+
+function printDetails(node) {
+  const details = []
+  if (node.position.some((value) => value !== 0)) details.push(`position [${node.position.join(', ')}]`)
+  if (node.rotation.some((value) => value !== 0)) details.push(`rotation [${node.rotation.join(', ')}]`)
+  if (node.scale.some((value) => value !== 1)) details.push(`scale [${node.scale.join(', ')}]`)
+  if (node.material) details.push(`material ${[].concat(node.material).join(', ')}`)
+  if (node.vertices !== null) details.push(`${node.vertices} vertices`)
+  if (node.extras) details.push(`extras ${JSON.stringify(node.extras)}`)
+  return details.join(', ')
+}
+
+/** Draws the scene graph as a tree, one node per line */
+function printTree(root) {
+  if (!root) return 'No nodes matched'
+  const lines = []
+  function walk(node, prefix, childPrefix) {
+    const details = printDetails(node)
+    lines.push(`${prefix}${node.type} "${node.name}"${details ? '  ' + details : ''}`)
+    node.children.forEach((child, i) => {
+      const last = i === node.children.length - 1
+      walk(child, childPrefix + (last ? '└─ ' : '├─ '), childPrefix + (last ? '   ' : '│  '))
+    })
+  }
+  walk(root, '', '')
+  return lines.join('\n')
+}
+
+export { inspect, inspectScene, printTree }
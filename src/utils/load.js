@@ -0,0 +1,28 @@
+import 'jsdom-global'
+import { GLTFLoader } from '../bin/GLTFLoader.js'
+import { DRACOLoader } from '../bin/DRACOLoader.js'
+import { UnreadableModelError } from './errors.js'
+
+DRACOLoader.getDecoderModule = () => {}
+const gltfLoader = new GLTFLoader()
+gltfLoader.setDRACOLoader(new DRACOLoader())
+
+function toArrayBuffer(buf) {
+  var ab = new ArrayBuffer(buf.length)
+  var view = new Uint8Array(ab)
+  for (var i = 0; i < buf.length; ++i) view[i] = buf[i]
+  return ab
+}
+
+/** Parses the contents of a model into its scene graph, geometry and textures aren't decoded */
+function load(data, file) {
+  return new Promise((resolve, reject) => {
+    try {
+      gltfLoader.parse(toArrayBuffer(data), '', resolve, (error) => reject(new UnreadableModelError(file, error)))
+    } catch (error) {
+      reject(new UnreadableModelError(file, error))
+    }
+  })
+}
+
+export default load
@@ -0,0 +1,228 @@
+import { parse as parseSFC } from '@vue/compiler-sfc'
+import format from './format.js'
+
+const ELEMENT = 1
+const ATTRIBUTE = 6
+
+/** Props the parser emits, stale ones on a regenerated node are dropped instead of kept as edits */
+const GENERATED_PROPS = new Set([
+  'name',
+  'args',
+  'object',
+  'geometry',
+  'material',
+  'skeleton',
+  'instance-matrix',
+  'instance-color',
+  'morph-target-dictionary',
+  'morph-target-influences',
+  'position',
+  'rotation',
+  'scale',
+  'up',
+  'visible',
+  'user-data',
+  'cast-shadow',
+  'receive-shadow',
+  'make-default',
+  'zoom',
+  'far',
+  'near',
+  'fov',
+  'intensity',
+  'angle',
+  'penumbra',
+  'decay',
+  'distance',
+  'color',
+])
+
+/** Matches `// #region keep` ... `// #endregion` in the script, editors can fold these */
+const KEEP_REGION = /^[ \t]*\/\/ #region keep\b[\s\S]*?^[ \t]*\/\/ #endregion\b.*$/gm
+
+function kebab(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase()
+}
+
+/** Name an attribute is compared by, :castShadow and cast-shadow are the same prop */
+function attributeKey(prop) {
+  if (prop.type === ATTRIBUTE) return kebab(prop.name)
+  const arg = prop.arg?.content
+  if (prop.name === 'bind') return arg ? kebab(arg) : 'v-bind'
+  if (prop.name === 'on') return '@' + arg
+  return 'v-' + prop.name + (arg ? ':' + arg : '')
+}
+
+function isBinding(prop) {
+  return prop.type === ATTRIBUTE || (prop.name === 'bind' && prop.arg)
+}
+
+function findProp(element, key) {
+  return element.props.find((prop) => attributeKey(prop) === key)
+}
+
+/** Elements the parser emits, materials and geometries are always hand-written children */
+function isGenerated(element) {
+  return element.tag === 'primitive' || (/^Tres/.test(element.tag) && !/(Material|Geometry)$/.test(element.tag))
+}
+
+/** Identity of a generated element: its ref, name, geometry, object or instances, else its place in the tree */
+function identify(element) {
+  if (findProp(element, 'ref')?.value?.content === 'group') return 'root'
+  const name = findProp(element, 'name')
+  if (name?.type === ATTRIBUTE) return `name:${name.value?.content}`
+  for (const key of ['geometry', 'object', 'instance-matrix']) {
+    const prop = findProp(element, key)
+    if (prop?.exp) return `${key}:${prop.exp.content}`
+  }
+  return null
+}
+
+/** Flattens the template into { key, element, parent } records, user elements get no key */
+function collect(root) {
+  const records = []
+  const seen = {}
+  function walk(element, parentKey) {
+    const counters = {}
+    for (const child of element.children.filter((child) => child.type === ELEMENT)) {
+      let key = null
+      if (isGenerated(child)) {
+        key = identify(child)
+        if (!key) {
+          // Unnamed groups and lights are matched by their position among their siblings
+          counters[child.tag] = (counters[child.tag] ?? 0) + 1
+          key = `${parentKey}/${child.tag}[${counters[child.tag]}]`
+        } else {
+          // The same geometry can be rendered more than once
+          seen[key] = (seen[key] ?? 0) + 1
+          if (seen[key] > 1) key += `#${seen[key]}`
+        }
+      }
+      records.push({ key, element: child, parent: parentKey })
+      if (key) walk(child, key)
+    }
+  }
+  walk(root, '')
+  return records
+}
+
+function hasGeneratedDescendant(element) {
+  return element.children.some(
+    (child) => child.type === ELEMENT && (isGenerated(child) || hasGeneratedDescendant(child))
+  )
+}
+
+/** Hand edits on an old element compared to its regenerated counterpart (or to nothing) */
+function editsOf(record, records, regenerated) {
+  const attributes = record.element.props.filter((prop) => {
+    const key = attributeKey(prop)
+    if (regenerated && findProp(regenerated, key)) return false
+    return !(isBinding(prop) && GENERATED_PROPS.has(key))
+  })
+  const children = records.filter((child) => child.parent === record.key && !child.key)
+  return { attributes, children }
+}
+
+/** Full source of a non-template block including its tags */
+function blockSource(source, block) {
+  const start = source.lastIndexOf(`<${block.type}`, block.loc.start.offset)
+  const close = `</${block.type}>`
+  return source.slice(start, source.indexOf(close, block.loc.end.offset) + close.length)
+}
+
+function splitHeader(code) {
+  const start = code.search(/^<(script|template)/m)
+  return start > 0 ? [code.slice(0, start), code.slice(start)] : ['', code]
+}
+
+/**
+ * Merges hand edits of an existing component into a freshly generated one. Kept are
+ * `// #region keep` blocks in the script, extra blocks like <style>, attributes and directives
+ * added to generated elements (matched by ref, name, geometry or their place in the tree) and
+ * hand-written child elements. Edits on elements that are gone from the model can't be merged,
+ * they are returned as conflicts.
+ */
+async function merge(existing, generated, options = {}) {
+  const [, previousBody] = splitHeader(existing)
+  const [header, body] = splitHeader(generated)
+  const previous = parseSFC(previousBody).descriptor
+  const next = parseSFC(body).descriptor
+  const conflicts = []
+  const edits = []
+  const removed = new Set()
+
+  if (previous.template?.ast && next.template?.ast) {
+    const records = collect(previous.template.ast)
+    const regenerated = new Map(collect(next.template.ast).map((record) => [record.key, record.element]))
+    for (const record of records) {
+      if (!record.key) {
+        if (!regenerated.has(record.parent) && record.parent) continue
+        // Wrappers around generated elements would duplicate them
+        if (hasGeneratedDescendant(record.element))
+          conflicts.push({
+            key: record.parent || 'root',
+            source: record.element.loc.source,
+            reason: 'wraps generated elements',
+          })
+        continue
+      }
+      const element = regenerated.get(record.key)
+      const { attributes, children } = editsOf(record, records, element)
+      if (!attributes.length && !children.length) continue
+      if (!element) {
+        // Nodes inside a removed parent are reported with it
+        if (removed.has(record.parent)) continue
+        removed.add(record.key)
+        conflicts.push({ key: record.key, source: record.element.loc.source, reason: 'removed from the model' })
+        continue
+      }
+      if (attributes.length) {
+        const last = element.props[element.props.length - 1]
+        const offset = last ? last.loc.end.offset : element.loc.start.offset + 1 + element.tag.length
+        edits.push({ offset, text: ' ' + attributes.map((prop) => prop.loc.source).join(' ') })
+      }
+      const kept = children.filter(({ element }) => !hasGeneratedDescendant(element))
+      if (kept.length) {
+        const text = '\n' + kept.map(({ element }) => element.loc.source).join('\n') + '\n'
+        if (element.isSelfClosing) {
+          const end = element.loc.end.offset
+          const close = element.loc.source.match(/\s*\/>$/)[0].length
+          edits.push({ offset: end - close, remove: close, text: `>${text}</${element.tag}>` })
+        } else {
+          edits.push({ offset: element.loc.end.offset - `</${element.tag}>`.length, text })
+        }
+      }
+    }
+  }
+
+  const regions = previous.scriptSetup?.content.match(KEEP_REGION) ?? []
+  if (regions.length && next.scriptSetup) {
+    const { start, end } = next.scriptSetup.loc
+    const expose = body.slice(start.offset, end.offset).search(/^defineExpose\(/m)
+    edits.push({ offset: expose === -1 ? end.offset : start.offset + expose, text: regions.join('\n\n') + '\n\n' })
+  }
+
+  let result = body
+  for (const { offset, remove = 0, text } of edits.sort((a, b) => b.offset - a.offset)) {
+    result = result.slice(0, offset) + text + result.slice(offset + remove)
+  }
+
+  // <style> and custom blocks are never generated, <script> only holds the shared KTX2Loader and is replaced
+  const script = next.script ? null : previous.script
+  const blocks = [script, ...previous.styles, ...previous.customBlocks].filter(Boolean)
+  if (blocks.length) result += '\n' + blocks.map((block) => blockSource(previousBody, block)).join('\n\n') + '\n'
+
+  return { code: header + (await format(result, options)), conflicts }
+}
+
+/** Diff-style listing of the edits merge() had to drop */
+function printConflicts(conflicts, file = 'the component') {
+  return [
+    `Hand edits in ${file} could not be merged:`,
+    ...conflicts.map(({ key, source, reason }) =>
+      [`@@ ${key} (${reason}) @@`, ...source.split('\n').map((line) => '- ' + line)].join('\n')
+    ),
+  ].join('\n')
+}
+
+export { merge, printConflicts }
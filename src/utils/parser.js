@@ -1,9 +1,14 @@
 import * as THREE from 'three'
-import * as prettier from 'prettier'
-import babelParser from 'prettier/parser-babel.js'
 import isVarName from './isVarName.js'
+import wildcard from './wildcard.js'
+import { printTypes } from './types.js'
+import { expr, createNode, printNode } from './graph.js'
+import format from './format.js'
+import { ParseError } from './errors.js'
 
-function parse(gltf, { fileName = 'model', ...options } = {}) {
+const BASIS_TRANSCODER = 'https://cdn.jsdelivr.net/gh/pmndrs/drei-assets@master/basis/'
+
+async function parse(gltf, { fileName = 'model', ...options } = {}) {
   if (gltf.isObject3D) {
     // Wrap scene in a GLTF Structure
     gltf = { scene: gltf, animations: [], parser: { json: {} } }
@@ -43,11 +48,12 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
   })
 
   gltf.scene.traverse((child) => {
-    if (child.isMesh) {
+    // Skinned and morphed meshes can't share a single instanced mesh
+    if (child.isMesh && !child.isSkinnedMesh && !child.isInstancedMesh && !child.morphTargetInfluences) {
       if (child.geometry) {
         const key = child.geometry.uuid + child.material?.name ?? ''
         if (!duplicates.geometries[key]) {
-          let name = (child.name || 'Part').replace(/[^a-zA-Z]/g, '')
+          let name = child.name.replace(/[^a-zA-Z]/g, '') || 'Part'
           name = name.charAt(0).toUpperCase() + name.slice(1)
           duplicates.geometries[key] = {
             count: 1,
@@ -71,6 +77,21 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
 
   const hasInstances = (options.instance || options.instanceall) && Object.keys(duplicates.geometries).length > 0
 
+  // Groups that --hierarchy must never prune, e.g. "Door,Wheel*"
+  const keepnodes = []
+    .concat(options.keepnodes ?? [])
+    .flatMap((pattern) => pattern.split(','))
+    .map((pattern) => pattern.trim())
+    .filter(Boolean)
+    .map(wildcard)
+
+  // Nodes targeted by an animation track
+  const animatedNodes = new Set(
+    (gltf.animations || []).flatMap((clip) =>
+      clip.tracks.map((track) => THREE.PropertyBinding.parseTrackName(track.name).nodeName)
+    )
+  )
+
   function sanitizeName(name) {
     return isVarName(name) ? `.${name}` : `['${name}']`
   }
@@ -92,38 +113,6 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
     return rNbr(number)
   }
 
-  function printTypes(objects, animations) {
-    let meshes = objects.filter((o) => o.isMesh && o.__removed === undefined)
-    let bones = objects.filter((o) => o.isBone && !(o.parent && o.parent.isBone) && o.__removed === undefined)
-    let materials = [...new Set(objects.filter((o) => o.material && o.material.name).map((o) => o.material))]
-
-    let animationTypes = ''
-    if (animations.length) {
-      animationTypes = `\n
-  type ActionName = ${animations.map((clip, i) => `"${clip.name}"`).join(' | ')};
-
-  interface GLTFAction extends THREE.AnimationClip { name: ActionName }\n`
-    }
-
-    const types = [...new Set([...meshes, ...bones].map((o) => getType(o)))]
-    const contextType = hasInstances
-      ? `\ntype ContextType = Record<string, React.ForwardRefExoticComponent<
-     ${types.map((type) => `JSX.IntrinsicElements['${type}']`).join(' | ')}
-    >>\n`
-      : ''
-
-    return `\n${animationTypes}\ntype GLTFResult = GLTF & {
-    nodes: {
-      ${meshes.map(({ name, type }) => (isVarName(name) ? name : `['${name}']`) + ': THREE.' + type).join(',')}
-      ${bones.map(({ name, type }) => (isVarName(name) ? name : `['${name}']`) + ': THREE.' + type).join(',')}
-    }
-    materials: {
-      ${materials.map(({ name, type }) => (isVarName(name) ? name : `['${name}']`) + ': THREE.' + type).join(',')}
-    }
-    animations: GLTFAction[]
-  }\n${contextType}`
-  }
-
   function getType(obj) {
     let type = obj.type.charAt(0).toLowerCase() + obj.type.slice(1)
     // Turn object3d's into groups, it should be faster according to the threejs docs
@@ -134,6 +123,8 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
   }
 
   function getTresType(type) {
+    // Cameras already carry their TresJS name
+    if (type.startsWith('Tres')) return type
     // Convert to TresJS component name
     return 'Tres' + type.charAt(0).toUpperCase() + type.slice(1)
   }
@@ -141,61 +132,59 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
   function handleProps(obj) {
     let { type, node, instanced } = getInfo(obj)
 
-    let result = ''
+    const props = {}
     let isCamera = type === 'TresPerspectiveCamera' || type === 'TresOrthographicCamera'
     // Handle cameras
     if (isCamera) {
-      result += `:make-default="false" `
-      if (obj.zoom !== 1) result += `:zoom="${rNbr(obj.zoom)}" `
-      if (obj.far !== 2000) result += `:far="${rNbr(obj.far)}" `
-      if (obj.near !== 0.1) result += `:near="${rNbr(obj.near)}" `
+      props['make-default'] = expr(false)
+      if (obj.zoom !== 1) props.zoom = expr(rNbr(obj.zoom))
+      if (obj.far !== 2000) props.far = expr(rNbr(obj.far))
+      if (obj.near !== 0.1) props.near = expr(rNbr(obj.near))
     }
     if (type === 'TresPerspectiveCamera') {
-      if (obj.fov !== 50) result += `:fov="${rNbr(obj.fov)}" `
+      if (obj.fov !== 50) props.fov = expr(rNbr(obj.fov))
     }
 
     if (!instanced) {
       // Shadows
-      if (type === 'mesh' && options.shadows) result += `cast-shadow receive-shadow `
+      if (type === 'mesh' && options.shadows) props['cast-shadow'] = props['receive-shadow'] = true
 
       // Write out geometry first
-      if (obj.geometry && !obj.isInstancedMesh) {
-        result += `:geometry="nodes${sanitizeName(obj.name)}.geometry" `
-      }
+      if (obj.geometry && !obj.isInstancedMesh) props.geometry = expr(`${node}.geometry`)
 
       // Write out materials
       if (obj.material && !obj.isInstancedMesh) {
-        if (obj.material.name) result += `:material="materials${sanitizeName(obj.material.name)}" `
-        else result += `:material="nodes${sanitizeName(obj.name)}.material" `
+        if (obj.material.name) props.material = expr(`materials${sanitizeName(obj.material.name)}`)
+        else props.material = expr(`${node}.material`)
       }
 
-      if (obj.instanceMatrix) result += `:instance-matrix="nodes${sanitizeName(obj.name)}.instanceMatrix" `
-      if (obj.instanceColor) result += `:instance-color="nodes${sanitizeName(obj.name)}.instanceColor" `
-      if (obj.skeleton) result += `:skeleton="nodes${sanitizeName(obj.name)}.skeleton" `
-      if (obj.visible === false) result += `:visible="false" `
-      if (obj.castShadow === true) result += `cast-shadow `
-      if (obj.receiveShadow === true) result += `receive-shadow `
-      if (obj.morphTargetDictionary) result += `:morph-target-dictionary="nodes${sanitizeName(obj.name)}.morphTargetDictionary" `
-      if (obj.morphTargetInfluences) result += `:morph-target-influences="nodes${sanitizeName(obj.name)}.morphTargetInfluences" `
-      if (obj.intensity && rNbr(obj.intensity)) result += `:intensity="${rNbr(obj.intensity)}" `
-      //if (obj.power && obj.power !== 4 * Math.PI) result += `:power="${rNbr(obj.power)}" `
-      if (obj.angle && obj.angle !== Math.PI / 3) result += `:angle="${rDeg(obj.angle)}" `
-      if (obj.penumbra && rNbr(obj.penumbra) !== 0) result += `:penumbra="${rNbr(obj.penumbra)}" `
-      if (obj.decay && rNbr(obj.decay) !== 1) result += `:decay="${rNbr(obj.decay)}" `
-      if (obj.distance && rNbr(obj.distance) !== 0) result += `:distance="${rNbr(obj.distance)}" `
+      if (obj.instanceMatrix) props['instance-matrix'] = expr(`${node}.instanceMatrix`)
+      if (obj.instanceColor) props['instance-color'] = expr(`${node}.instanceColor`)
+      if (obj.skeleton) props.skeleton = expr(`${node}.skeleton`)
+      if (obj.visible === false) props.visible = expr(false)
+      if (obj.castShadow === true) props['cast-shadow'] = true
+      if (obj.receiveShadow === true) props['receive-shadow'] = true
+      if (obj.morphTargetDictionary) props['morph-target-dictionary'] = expr(`${node}.morphTargetDictionary`)
+      if (obj.morphTargetInfluences) props['morph-target-influences'] = expr(`${node}.morphTargetInfluences`)
+      if (obj.intensity && rNbr(obj.intensity)) props.intensity = expr(rNbr(obj.intensity))
+      //if (obj.power && obj.power !== 4 * Math.PI) props.power = expr(rNbr(obj.power))
+      if (obj.angle && obj.angle !== Math.PI / 3) props.angle = expr(rDeg(obj.angle))
+      if (obj.penumbra && rNbr(obj.penumbra) !== 0) props.penumbra = expr(rNbr(obj.penumbra))
+      if (obj.decay && rNbr(obj.decay) !== 1) props.decay = expr(rNbr(obj.decay))
+      if (obj.distance && rNbr(obj.distance) !== 0) props.distance = expr(rNbr(obj.distance))
       if (obj.up && obj.up.isVector3 && !obj.up.equals(new THREE.Vector3(0, 1, 0)))
-        result += `:up="[${rNbr(obj.up.x)}, ${rNbr(obj.up.y)}, ${rNbr(obj.up.z)}]" `
+        props.up = expr(`[${rNbr(obj.up.x)}, ${rNbr(obj.up.y)}, ${rNbr(obj.up.z)}]`)
     }
 
-    if (obj.color && obj.color.getHexString() !== 'ffffff') result += `color="#${obj.color.getHexString()}" `
+    if (obj.color && obj.color.getHexString() !== 'ffffff') props.color = `#${obj.color.getHexString()}`
     if (obj.position && obj.position.isVector3 && rNbr(obj.position.length()))
-      result += `:position="[${rNbr(obj.position.x)}, ${rNbr(obj.position.y)}, ${rNbr(obj.position.z)}]" `
+      props.position = expr(`[${rNbr(obj.position.x)}, ${rNbr(obj.position.y)}, ${rNbr(obj.position.z)}]`)
     if (
       obj.rotation &&
       obj.rotation.isEuler &&
       rNbr(new THREE.Vector3(obj.rotation.x, obj.rotation.y, obj.rotation.z).length())
     )
-      result += `:rotation="[${rDeg(obj.rotation.x)}, ${rDeg(obj.rotation.y)}, ${rDeg(obj.rotation.z)}]" `
+      props.rotation = expr(`[${rDeg(obj.rotation.x)}, ${rDeg(obj.rotation.y)}, ${rDeg(obj.rotation.z)}]`)
     if (
       obj.scale &&
       obj.scale.isVector3 &&
@@ -205,15 +194,15 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
       const rY = rNbr(obj.scale.y)
       const rZ = rNbr(obj.scale.z)
       if (rX === rY && rX === rZ) {
-        result += `:scale="${rX}" `
+        props.scale = expr(rX)
       } else {
-        result += `:scale="[${rX}, ${rY}, ${rZ}]" `
+        props.scale = expr(`[${rX}, ${rY}, ${rZ}]`)
       }
     }
     if (options.meta && obj.userData && Object.keys(obj.userData).length)
-      result += `:user-data='${JSON.stringify(obj.userData)}' `
+      props['user-data'] = expr(JSON.stringify(obj.userData))
 
-    return result
+    return props
   }
 
   function getInfo(obj) {
@@ -233,90 +222,112 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
     return (a.x === b.x || a.x === -b.x) && (a.y === b.y || a.y === -b.y) && (a.z === b.z || a.z === -b.z)
   }
 
-  function prune(obj, children, result, oldResult, silent) {
+  // Every pruned node is reported once, repeated builds only log when they aren't silent
+  const pruned = new Set()
+  function removed(obj, reason, silent) {
+    if (options.debug && !silent) console.log(`group ${obj.name} removed (${reason})`)
+    // The scene is always replaced by the component's root group
+    if (pruned.has(obj) || obj === gltf.scene) return
+    pruned.add(obj)
+    options.onPrune?.({ name: obj.name, type: obj.type, reason })
+  }
+
+  function pruneHierarchy(obj, element, silent) {
+    let { type } = getInfo(obj)
+    if (obj.__removed || (type !== 'group' && type !== 'scene')) return
+    // Animated, allow-listed and branching groups are part of the rig
+    if (animatedNodes.has(obj.name) || keepnodes.some((pattern) => pattern.test(obj.name))) return
+    // The scene itself is replaced by the component's root group
+    if (type === 'group' && obj.children.length > 1) return
+
+    const keys = Object.keys(element.props).filter((key) => key !== 'name')
+    if (!element.children.length || !keys.length) {
+      removed(obj, `hierarchy: ${element.children.length ? 'identity' : 'empty'}`, silent)
+      obj.__removed = true
+      return element.children
+    }
+  }
+
+  function prune(obj, element, silent) {
+    if (options.hierarchy) return pruneHierarchy(obj, element, silent)
+
     let { type, animated } = getInfo(obj)
     // Prune ...
     if (!obj.__removed && !options.keepgroups && !animated && (type === 'group' || type === 'scene')) {
+      // Names are not considered, they get dropped along with the group
+      const keys1 = Object.keys(element.props).filter((key) => key !== 'name')
+
       /** Empty or no-property groups
-       *    <group>
-       *      <mesh geometry={nodes.foo} material={materials.bar} />
+       *    <TresGroup>
+       *      <TresMesh :geometry="nodes.foo.geometry" :material="materials.bar" />
        *  Solution:
-       *    <mesh geometry={nodes.foo} material={materials.bar} />
+       *    <TresMesh :geometry="nodes.foo.geometry" :material="materials.bar" />
        */
-      if (result === oldResult || obj.children.length === 0) {
-        if (options.debug && !silent) console.log(`group ${obj.name} removed (empty)`)
+      if (!keys1.length || obj.children.length === 0) {
+        removed(obj, 'empty', silent)
         obj.__removed = true
-        return children
+        return element.children
       }
 
       // More aggressive removal strategies ...
       const first = obj.children[0]
-      const firstProps = handleProps(first)
-      const regex = /([a-z-A-Z]*)={([a-zA-Z0-9\.\[\]\-\,\ \/]*)}/g
-      const keys1 = [...result.matchAll(regex)].map(([, match]) => match)
-      const values1 = [...result.matchAll(regex)].map(([, , match]) => match)
-      const keys2 = [...firstProps.matchAll(regex)].map(([, match]) => match)
+      const keys2 = Object.keys(handleProps(first))
 
       /** Double negative rotations
-       *    <group rotation={[-Math.PI / 2, 0, 0]}>
-       *      <group rotation={[Math.PI / 2, 0, 0]}>
-       *        <mesh geometry={nodes.foo} material={materials.bar} />
+       *    <TresGroup :rotation="[-Math.PI / 2, 0, 0]">
+       *      <TresGroup :rotation="[Math.PI / 2, 0, 0]">
+       *        <TresMesh :geometry="nodes.foo.geometry" :material="materials.bar" />
        *  Solution:
-       *    <mesh geometry={nodes.foo} material={materials.bar} />
+       *    <TresMesh :geometry="nodes.foo.geometry" :material="materials.bar" />
        */
       if (obj.children.length === 1 && getType(first) === type && equalOrNegated(obj.rotation, first.rotation)) {
         if (keys1.length === 1 && keys2.length === 1 && keys1[0] === 'rotation' && keys2[0] === 'rotation') {
-          if (options.debug && !silent) console.log(`group ${obj.name} removed (aggressive: double negative rotation)`)
+          removed(obj, 'aggressive: double negative rotation', silent)
+          removed(first, 'aggressive: double negative rotation', true)
           obj.__removed = first.__removed = true
-          children = ''
-          if (first.children) first.children.forEach((child) => (children += print(child, true)))
-          return children
+          return first.children.flatMap((child) => build(child, true))
         }
       }
 
       /** Double negative rotations w/ props
-       *    <group rotation={[-Math.PI / 2, 0, 0]}>
-       *      <group rotation={[Math.PI / 2, 0, 0]} scale={0.01}>
-       *        <mesh geometry={nodes.foo} material={materials.bar} />
+       *    <TresGroup :rotation="[-Math.PI / 2, 0, 0]">
+       *      <TresGroup :rotation="[Math.PI / 2, 0, 0]" :scale="0.01">
+       *        <TresMesh :geometry="nodes.foo.geometry" :material="materials.bar" />
        *  Solution:
-       *    <group scale={0.01}>
-       *      <mesh geometry={nodes.foo} material={materials.bar} />
+       *    <TresGroup :scale="0.01">
+       *      <TresMesh :geometry="nodes.foo.geometry" :material="materials.bar" />
        */
       if (obj.children.length === 1 && getType(first) === type && equalOrNegated(obj.rotation, first.rotation)) {
         if (keys1.length === 1 && keys2.length > 1 && keys1[0] === 'rotation' && keys2.includes('rotation')) {
-          if (options.debug && !silent)
-            console.log(`group ${obj.name} removed (aggressive: double negative rotation w/ props)`)
+          removed(obj, 'aggressive: double negative rotation w/ props', silent)
           obj.__removed = true
           // Remove rotation from first child
           first.rotation.set(0, 0, 0)
-          children = print(first, true)
-          return children
+          return build(first, true)
         }
       }
 
       /** Transform overlap
-       *    <group position={[10, 0, 0]} scale={2} rotation={[-Math.PI / 2, 0, 0]}>
-       *      <mesh geometry={nodes.foo} material={materials.bar} />
+       *    <TresGroup :position="[10, 0, 0]" :scale="2" :rotation="[-Math.PI / 2, 0, 0]">
+       *      <TresMesh :geometry="nodes.foo.geometry" :material="materials.bar" />
        *  Solution:
-       *    <mesh geometry={nodes.foo} material={materials.bar} position={[10, 0, 0]} scale={2} rotation={[-Math.PI / 2, 0, 0]} />
+       *    <TresMesh :geometry="nodes.foo.geometry" :material="materials.bar" :position="[10, 0, 0]" :scale="2" :rotation="[-Math.PI / 2, 0, 0]" />
        */
       const isChildTransformed = keys2.includes('position') || keys2.includes('rotation') || keys2.includes('scale')
       const hasOtherProps = keys1.some((key) => !['position', 'scale', 'rotation'].includes(key))
       if (obj.children.length === 1 && !first.__removed && !isChildTransformed && !hasOtherProps) {
-        if (options.debug && !silent) console.log(`group ${obj.name} removed (aggressive: ${keys1.join(' ')} overlap)`)
+        removed(obj, `aggressive: ${keys1.join(' ')} overlap`, silent)
         // Move props over from the to-be-deleted object to the child
         // This ensures that the child will have the correct transform when pruning is being repeated
-        keys1.forEach((key) => obj.children[0][key].copy(obj[key]))
-        // Insert the props into the result string
-        children = print(first, true)
+        keys1.forEach((key) => first[key].copy(obj[key]))
         obj.__removed = true
-        return children
+        return build(first, true)
       }
 
       /** Lack of content
-       *    <group position={[10, 0, 0]} scale={2} rotation={[-Math.PI / 2, 0, 0]}>
-       *      <group position={[10, 0, 0]} scale={2} rotation={[-Math.PI / 2, 0, 0]}>
-       *        <group position={[10, 0, 0]} scale={2} rotation={[-Math.PI / 2, 0, 0]} />
+       *    <TresGroup :position="[10, 0, 0]" :scale="2" :rotation="[-Math.PI / 2, 0, 0]">
+       *      <TresGroup :position="[10, 0, 0]" :scale="2" :rotation="[-Math.PI / 2, 0, 0]">
+       *        <TresGroup :position="[10, 0, 0]" :scale="2" :rotation="[-Math.PI / 2, 0, 0]" />
        * Solution:
        *   (delete the whole sub graph)
        */
@@ -326,82 +337,123 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
         if (type !== 'group' && type !== 'object3D') empty.push(o)
       })
       if (!empty.length) {
-        if (options.debug && !silent) console.log(`group ${obj.name} removed (aggressive: lack of content)`)
+        removed(obj, 'aggressive: lack of content', silent)
         empty.forEach((child) => (child.__removed = true))
-        return ''
+        return []
       }
     }
   }
 
-  function print(obj, silent = false) {
-    let result = ''
-    let children = ''
+  function build(obj, silent = false) {
     let { type, node, instanced, animated } = getInfo(obj)
 
     // Check if the root node is useless
-    if (obj.__removed && obj.children.length) {
-      obj.children.forEach((child) => (result += print(child)))
-      return result
-    }
+    if (obj.__removed && obj.children.length) return obj.children.flatMap((child) => build(child))
 
     // Get TresJS component name
     const tresType = getTresType(type)
 
     // Bail out on bones
-    if (!options.bones && type === 'bone') {
-      return `<TresPrimitive :object="nodes${sanitizeName(obj.name)}" />`
-    }
+    if (!options.bones && type === 'bone') return [createNode('TresPrimitive', { object: expr(node) }, [], obj)]
 
     // Take care of lights with targets
     if (type.endsWith('Light') && obj.target && obj.children[0] === obj.target) {
-      const tresLightType = getTresType(type)
-      return `<${tresLightType} ${handleProps(obj)} :target="nodes${sanitizeName(obj.name)}.target">
-        <TresPrimitive :object="nodes${sanitizeName(obj.name)}.target" ${handleProps(obj.target)} />
-      </${tresLightType}>`
+      const target = createNode('TresPrimitive', { object: expr(`${node}.target`), ...handleProps(obj.target) })
+      return [createNode(tresType, { ...handleProps(obj), target: expr(`${node}.target`) }, [target], obj)]
     }
 
     // Collect children
-    if (obj.children) obj.children.forEach((child) => (children += print(child)))
-
-    if (instanced) {
-      result = `<instances.${duplicates.geometries[obj.geometry.uuid + obj.material.name].name} `
-      type = `instances.${duplicates.geometries[obj.geometry.uuid + obj.material.name].name}`
-    } else {
-      if (obj.isInstancedMesh) {
-        const geo = `nodes${sanitizeName(obj.name)}.geometry`
-        const mat = obj.material.name ? `materials${sanitizeName(obj.material.name)}` : `nodes${sanitizeName(obj.name)}.material`
-        type = "TresInstancedMesh"
-        result = `<TresInstancedMesh :args="[${geo}, ${mat}, ${!obj.count ? `nodes${sanitizeName(obj.name)}.count` : obj.count}]" `
-      } else {
-        // Form the component in Vue template syntax
-        if (type === 'bone') result = `<TresPrimitive :object="nodes${sanitizeName(obj.name)}" `
-        else result = `<${tresType} `
-      }
+    const children = obj.children.flatMap((child) => build(child))
+
+    // Instanced geometry is rendered once at the root, see buildInstances
+    if (instanced) return children
+
+    let tag = tresType
+    const props = {}
+    if (obj.isInstancedMesh) {
+      const mat = obj.material.name ? `materials${sanitizeName(obj.material.name)}` : `${node}.material`
+      tag = 'TresInstancedMesh'
+      props.args = expr(`[${node}.geometry, ${mat}, ${!obj.count ? `${node}.count` : obj.count}]`)
+    } else if (type === 'bone') {
+      tag = 'TresPrimitive'
+      props.object = expr(node)
     }
 
     // Include names when output is uncompressed or morphTargetDictionaries are present
-    if (obj.name.length && (options.keepnames || obj.morphTargetDictionary || animated)) result += `name="${obj.name}" `
+    if (obj.name.length && (options.keepnames || obj.morphTargetDictionary || animated)) props.name = obj.name
+    // Kept rig groups are looked up by name from code
+    if (obj.name.length && options.hierarchy && keepnodes.some((pattern) => pattern.test(obj.name))) props.name = obj.name
 
-    const oldResult = result
-    result += handleProps(obj)
+    const element = createNode(tag, { ...props, ...handleProps(obj) }, children, obj)
 
-    const pruned = prune(obj, children, result, oldResult, silent)
+    const pruned = prune(obj, element, silent)
     // Bail out if the object was pruned
     if (pruned !== undefined) return pruned
+    return [element]
+  }
 
-    // Close tag
-    result += `${children.length ? '>' : '/>'}\n`
+  function collectInstances() {
+    // Every occurrence of a duplicated geometry+material pair becomes one matrix of a single instanced mesh,
+    // matrices are relative to the scene so that they survive flattening and pruning
+    const instances = {}
+    gltf.scene.updateMatrixWorld(true)
+    const inverse = gltf.scene.matrixWorld.clone().invert()
+    gltf.scene.traverse((obj) => {
+      if (!getInfo(obj).instanced) return
+      const duplicate = duplicates.geometries[obj.geometry.uuid + obj.material.name]
+      if (!instances[duplicate.name]) instances[duplicate.name] = { ...duplicate, obj, matrices: [] }
+      instances[duplicate.name].matrices.push(new THREE.Matrix4().multiplyMatrices(inverse, obj.matrixWorld))
+    })
+    return Object.values(instances)
+  }
 
-    // Add children and return
-    if (children.length) {
-      if (type === 'bone') result += children + `</TresPrimitive>`
-      else result += children + `</${tresType}>`
-    }
-    return result
+  function buildInstances(instances) {
+    return instances.map(({ name, node, obj, matrices }) => {
+      const mat = obj.material.name ? `materials${sanitizeName(obj.material.name)}` : `${node}.material`
+      const props = {
+        args: expr(`[${node}.geometry, ${mat}, ${matrices.length}]`),
+        'instance-matrix': expr(`instances.${name}`),
+      }
+      if (options.shadows || obj.castShadow) props['cast-shadow'] = true
+      if (options.shadows || obj.receiveShadow) props['receive-shadow'] = true
+      return createNode('TresInstancedMesh', props, [], obj)
+    })
+  }
+
+  function printInstanceMatrices(instances) {
+    if (!instances.length) return ''
+    return `\nimport { InstancedBufferAttribute } from 'three'
+
+const instances = {
+${instances
+  .map(({ name, matrices }) => {
+    const elements = matrices.flatMap((matrix) => matrix.elements.map(rNbr))
+    return `  ${name}: new InstancedBufferAttribute(new Float32Array([${elements.join(', ')}]), 16),`
+  })
+  .join('\n')}
+}
+`
   }
 
   function printAnimations(animations) {
-    return animations.length ? `\nconst { actions } = useAnimations(animations, group)` : ''
+    return animations.length ? `\nconst { actions } = useAnimations(animations, group)\n` : ''
+  }
+
+  function printProps() {
+    // Transforms are explicit props, everything else falls through to the root group via $attrs
+    if (options.types)
+      return `withDefaults(defineProps<ModelProps>(), {
+  position: () => [0, 0, 0],
+  rotation: () => [0, 0, 0],
+  scale: 1,
+  visible: true,
+})`
+    return `defineProps({
+  position: { type: Array, default: () => [0, 0, 0] },
+  rotation: { type: Array, default: () => [0, 0, 0] },
+  scale: { type: [Number, Array], default: 1 },
+  visible: { type: Boolean, default: true },
+})`
   }
 
   function parseExtras(extras) {
@@ -435,7 +487,7 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
 
   // Flatten hierarchy: bake parent transforms into children
   // This prevents nested rotation groups from causing orientation issues
-  if (!options.keepgroups) {
+  if (!options.keepgroups && !options.hierarchy) {
     objects.forEach((o) => {
       if (o.isMesh) {
         // Apply world matrix to get final position/rotation/scale
@@ -458,11 +510,12 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
     })
   }
 
-  let scene
+  let scene = []
+  let instances = []
   try {
     if (!options.keepgroups) {
       // Dry run to prune graph
-      print(gltf.scene)
+      build(gltf.scene)
       // Move children of deleted objects to their new parents
       objects.forEach((o) => {
         if (o.__removed) {
@@ -471,7 +524,8 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
           while (parent && parent.__removed) parent = parent.parent
           // If no parent was found it must be the root node
           if (!parent) parent = gltf.scene
-          o.children.slice().forEach((child) => parent.add(child))
+          // The hierarchy mode can drop groups with nothing to render, attach keeps world transforms intact
+          o.children.slice().forEach((child) => (options.hierarchy ? parent.attach(child) : parent.add(child)))
         }
       })
       // Remove deleted objects
@@ -480,16 +534,19 @@ function parse(gltf, { fileName = 'model', ...options } = {}) {
       })
     }
     // 2nd pass to eliminate hard to swat left-overs
-    scene = print(gltf.scene)
+    scene = build(gltf.scene)
+    if (hasInstances) {
+      instances = collectInstances()
+      scene.push(...buildInstances(instances))
+    }
   } catch (e) {
-    console.log('Error while parsing glTF', e)
+    throw new ParseError(fileName, e)
   }
   const header = `/*
 ${options.header ? options.header : 'Auto-generated by: https://github.com/OmnomnomTee/gltfvue'} ${
     options.size ? `\nFiles: ${options.size}` : ''
   }
 ${parseExtras(gltf.parser.json.asset && gltf.parser.json.asset.extras)}*/`
-  const hasPrimitives = scene.includes('<TresPrimitive')
 
   // Check for unlit materials with emissive textures
   const gltfJson = gltf.parser?.json
@@ -540,26 +597,97 @@ Object.values(materials).forEach(mat => mat.needsUpdate = true)\n`
     }
   }
 
+  // Decoders for compressed assets, cientos only sets up draco by itself
+  const extensionsUsed = gltfJson?.extensionsUsed ?? []
+  const draco = extensionsUsed.includes('KHR_draco_mesh_compression')
+  const meshopt = extensionsUsed.includes('EXT_meshopt_compression')
+  const basisu = extensionsUsed.includes('KHR_texture_basisu')
+
+  function printDecoderImports() {
+    let result = ''
+    if (meshopt) result += `import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js'\n`
+    if (basisu) result += `import { useTresContext } from '@tresjs/core'\n`
+    return result
+  }
+
+  // A KTX2Loader starts its own transcoder workers, every instance of the component shares one
+  function printModuleScript() {
+    if (!basisu) return ''
+    return `<script${options.types ? ' lang="ts"' : ''}>
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js'
+
+let ktx2Loader${options.types ? ': KTX2Loader | undefined' : ''}
+</script>
+
+`
+  }
+
+  function printDecoders() {
+    if (!basisu) return ''
+    const transcoder = options.transcoder ?? BASIS_TRANSCODER
+    return `const { renderer } = useTresContext()
+ktx2Loader ??= new KTX2Loader().setTranscoderPath('${transcoder}').detectSupport(renderer.value)
+`
+  }
+
+  function printLoadArgs() {
+    const args = [`'${url}'`]
+    if (draco || meshopt || basisu) {
+      const decoderPath = typeof options.draco === 'string' ? `, decoderPath: '${options.draco}'` : ''
+      args.push(draco ? `{ draco: true${decoderPath} }` : '{}')
+    }
+    if (meshopt || basisu) {
+      args.push(`(loader${options.types ? ': any' : ''}) => {
+  // cientos >= 4.1 wraps the three.js loader
+  const gltfLoader = loader.gltfLoader ?? loader
+${meshopt ? '  gltfLoader.setMeshoptDecoder(MeshoptDecoder)\n' : ''}${basisu ? '  gltfLoader.setKTX2Loader(ktx2Loader)\n' : ''}}`)
+    }
+    return args.join(', ')
+  }
+
+  // Typed GLTFResult, useGLTF gets cast to it since cientos doesn't take a result type
+  const typeImports = options.types ? `import type * as THREE from 'three'\nimport type { GLTF } from 'three-stdlib'\n` : ''
+  const types = options.types ? `\n${printTypes(gltf)}\n` : ''
+  const load = options.types ? `(await useGLTF(${printLoadArgs()})) as unknown as GLTFResult` : `await useGLTF(${printLoadArgs()})`
+  const group = options.types ? `shallowRef<THREE.Group>()` : `shallowRef()`
+  const root = createNode(
+    'TresGroup',
+    {
+      ref: 'group',
+      'v-bind': '$attrs',
+      position: expr('position'),
+      rotation: expr('rotation'),
+      scale: expr('scale'),
+      visible: expr('visible'),
+    },
+    scene
+  )
+
   // Vue SFC format
-  const result = `<script setup lang="ts">
+  const result = `${printModuleScript()}<script setup${options.types ? ' lang="ts"' : ''}>
+${typeImports}import { shallowRef } from 'vue'
 import { useGLTF } from '@tresjs/cientos'${hasAnimations ? `\nimport { useAnimations } from '@tresjs/cientos'` : ''}
+${printDecoderImports()}${types}
+defineOptions({ inheritAttrs: false })
+
+${printProps()}
 
-const { nodes, materials${hasAnimations ? ', animations' : ''} } = await useGLTF('${url}')
-${materialFixCode}${hasAnimations ? `const { actions } = useAnimations(animations)` : ''}
+const group = ${group}
+${printDecoders()}const { nodes, materials${hasAnimations ? ', animations' : ''} } = ${load}
+${printInstanceMatrices(instances)}${materialFixCode}${printAnimations(animations)}
+defineExpose({ group, nodes, materials${hasAnimations ? ', actions' : ''} })
 </script>
 
 <template>
-  <TresGroup>
-${scene}
-  </TresGroup>
-</template>`
+${printNode(root, 1)}</template>`
 
-  if (!options.console) console.log(header)
-  const output = header + '\n' + result
-
-  // For Vue SFC, don't use Prettier for now - just return the output
-  // TODO: Add proper Vue formatter support
-  return output
+  // The header is a plain comment outside of the SFC blocks, it is kept out of the formatter
+  try {
+    return header + '\n' + (await format(result, options))
+  } catch (e) {
+    // An unformatted component would fail the consumer's lint checks, the caller decides what to do
+    throw new ParseError(fileName, e)
+  }
 }
 
 export default parse
@@ -0,0 +1,42 @@
+import fs from 'fs'
+import path from 'path'
+import { readPackageUpSync } from 'read-pkg-up'
+
+const VITE_CONFIGS = ['vite.config.js', 'vite.config.ts', 'vite.config.mjs', 'vite.config.mts']
+const NUXT_CONFIGS = ['nuxt.config.js', 'nuxt.config.ts', 'nuxt.config.mjs']
+
+/**
+ * Finds the project gltfvue is run in and where components and models belong. Nuxt and Vite
+ * projects get their components and public folders, anything else gets the working directory.
+ */
+function detectProject(cwd = process.cwd()) {
+  const fallback = { framework: null, root: cwd, components: cwd, public: cwd }
+  const result = readPackageUpSync({ cwd, normalize: false })
+  if (!result) return fallback
+  const root = path.dirname(result.path)
+  const { dependencies = {}, devDependencies = {} } = result.packageJson
+  const has = (name, configs) =>
+    name in dependencies || name in devDependencies || configs.some((config) => fs.existsSync(path.join(root, config)))
+
+  if (has('nuxt', NUXT_CONFIGS)) {
+    // Nuxt 4 moved the source into app/
+    const app = fs.existsSync(path.join(root, 'app')) ? 'app' : '.'
+    return {
+      framework: 'nuxt',
+      root,
+      components: path.join(root, app, 'components'),
+      public: path.join(root, 'public'),
+    }
+  }
+  if (has('vite', VITE_CONFIGS)) {
+    return {
+      framework: 'vite',
+      root,
+      components: path.join(root, 'src', 'components'),
+      public: path.join(root, 'public'),
+    }
+  }
+  return fallback
+}
+
+export default detectProject
@@ -0,0 +1,238 @@
+import fs from 'fs'
+import path from 'path'
+import { ImageUtils } from '@gltf-transform/core'
+import { listTextureSlots } from '@gltf-transform/functions'
+import { InvalidOptionError } from './errors.js'
+
+const TRIANGLES = 4
+const TRIANGLE_STRIP = 5
+const TRIANGLE_FAN = 6
+
+/** The model and, for a .gltf, the buffers and images it references that exist next to it */
+function modelFiles(file) {
+  const files = [file]
+  if (path.extname(file).toLowerCase() === '.gltf') {
+    const json = JSON.parse(fs.readFileSync(file, 'utf-8'))
+    const uris = [...(json.buffers ?? []), ...(json.images ?? [])]
+      .map(({ uri }) => uri)
+      .filter((uri) => uri && !uri.startsWith('data:'))
+    for (const uri of new Set(uris)) {
+      const resource = path.resolve(path.dirname(file), decodeURIComponent(uri))
+      if (fs.existsSync(resource)) files.push(resource)
+    }
+  }
+  return files
+}
+
+/** Size of a model in bytes, a .gltf includes its external buffers and images */
+function modelSize(file) {
+  return modelFiles(file).reduce((size, resource) => size + fs.statSync(resource).size, 0)
+}
+
+function describeTexture(texture) {
+  const image = texture.getImage()
+  const mimeType = texture.getMimeType()
+  const [width, height] = (image && ImageUtils.getSize(image, mimeType)) ?? []
+  return { mimeType, size: image?.byteLength ?? 0, width: width ?? null, height: height ?? null }
+}
+
+function countTriangles(primitive) {
+  const count = (primitive.getIndices() ?? primitive.getAttribute('POSITION'))?.getCount() ?? 0
+  const mode = primitive.getMode()
+  if (mode === TRIANGLES) return count / 3
+  if (mode === TRIANGLE_STRIP || mode === TRIANGLE_FAN) return Math.max(count - 2, 0)
+  return 0
+}
+
+/** Counts and lists of a glTF-Transform document, the same shape before and after transforming */
+function describeDocument(document) {
+  const root = document.getRoot()
+  const meshes = root.listMeshes()
+  const primitives = meshes.flatMap((mesh) => mesh.listPrimitives())
+  return {
+    meshes: meshes.length,
+    primitives: primitives.length,
+    vertices: primitives.reduce((sum, prim) => sum + (prim.getAttribute('POSITION')?.getCount() ?? 0), 0),
+    triangles: primitives.reduce((sum, prim) => sum + countTriangles(prim), 0),
+    // One draw call per primitive of every node that renders a mesh
+    drawCalls: root.listNodes().reduce((sum, node) => sum + (node.getMesh()?.listPrimitives().length ?? 0), 0),
+    materials: root.listMaterials().map((material) => material.getName()),
+    textures: root.listTextures().map((texture) => ({
+      name: texture.getName() || texture.getURI(),
+      slots: listTextureSlots(texture),
+      ...describeTexture(texture),
+    })),
+    animations: root.listAnimations().map((animation) => ({
+      name: animation.getName(),
+      channels: animation.listChannels().length,
+      duration: Math.max(0, ...animation.listSamplers().map((sampler) => sampler.getInput()?.getMax([])[0] ?? 0)),
+    })),
+  }
+}
+
+/**
+ * Everything known about one conversion. `transformed` is the result of transform() or
+ * transformDocument() with the output's size, without it the original document describes the
+ * model as it is. `size` is the original's size, read from the file when it's omitted.
+ */
+function createReport({ file, output = null, size = modelSize(file), original, transformed, pruned = [] }) {
+  const stats = transformed?.after ?? original
+  return {
+    file,
+    output,
+    date: new Date().toISOString(),
+    size: {
+      original: size,
+      transformed: transformed?.size ?? null,
+    },
+    steps: transformed?.steps ?? [],
+    quantization: transformed?.quantization ?? null,
+    meshes: stats.meshes,
+    primitives: stats.primitives,
+    vertices: {
+      original: (transformed?.before ?? original).vertices,
+      transformed: transformed?.after.vertices ?? null,
+    },
+    triangles: {
+      original: (transformed?.before ?? original).triangles,
+      transformed: transformed?.after.triangles ?? null,
+    },
+    drawCalls: stats.drawCalls,
+    materials: stats.materials,
+    animations: stats.animations,
+    textures:
+      transformed?.textures ??
+      original.textures.map(({ name, slots, ...info }) => ({ name, slots, rule: null, before: info, after: info })),
+    pruned,
+  }
+}
+
+function formatBytes(bytes) {
+  if (bytes == null) return '-'
+  if (bytes > 1000 * 1000) return `${Math.round(bytes / 10000) / 100}MB`
+  return `${Math.round(bytes / 10) / 100}KB`
+}
+
+/** One line on what quantizing the vertex attributes saves, e.g. for the CLI output */
+function printQuantization({ bits, before, after }) {
+  const settings = Object.entries(bits)
+    .map(([key, value]) => `${key} ${value}`)
+    .join(', ')
+  return `Quantization (${settings} bits): vertex data ${formatBytes(before)} > ${formatBytes(after)} (${Math.round(
+    100 - (after / (before || 1)) * 100
+  )}%)`
+}
+
+function escapeHtml(value) {
+  return String(value ?? '-').replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c])
+}
+
+function printTable(head, rows) {
+  if (!rows.length) return '<p class="empty">None</p>'
+  const cells = (row, tag) => row.map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('')
+  return `<table><thead><tr>${cells(head, 'th')}</tr></thead><tbody>${rows
+    .map((row) => `<tr>${cells(row, 'td')}</tr>`)
+    .join('')}</tbody></table>`
+}
+
+/** Self-contained page for people who'd rather not read JSON */
+function printHtml(report) {
+  const dimensions = (info) => (info?.width ? `${info.width}×${info.height}` : '-')
+  const { original, transformed } = report.size
+  const saved = transformed ? ` (${Math.round(100 - (transformed / original) * 100)}% smaller)` : ''
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(path.basename(report.file))} report</title>
+<style>
+body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #222; }
+h1 { font-size: 1.4rem; } h2 { font-size: 1.1rem; margin-top: 2rem; }
+table { border-collapse: collapse; } th, td { padding: 0.25rem 0.75rem; border-bottom: 1px solid #ddd; text-align: left; }
+th { background: #f5f5f5; } .empty { color: #888; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(report.file)}</h1>
+<p>${escapeHtml(report.date)}${report.output ? `, written to ${escapeHtml(report.output)}` : ''}</p>
+<h2>Summary</h2>
+${printTable(
+  ['', 'Original', 'Transformed'],
+  [
+    ['Size', formatBytes(original), formatBytes(transformed) + saved],
+    ['Vertices', report.vertices.original, report.vertices.transformed],
+    ['Triangles', report.triangles.original, report.triangles.transformed],
+    ...(report.quantization
+      ? [['Vertex data (quantized)', formatBytes(report.quantization.before), formatBytes(report.quantization.after)]]
+      : []),
+    ['Meshes', report.meshes, ''],
+    ['Draw calls (estimate)', report.drawCalls, ''],
+  ]
+)}
+<h2>Textures</h2>
+${printTable(
+  ['Texture', 'Slots', 'Rule', 'Before', 'Size', 'After', 'Size'],
+  report.textures.map(({ name, slots, rule, before, after }) => [
+    name,
+    slots.join(', '),
+    rule
+      ? Object.entries(rule)
+          .map(([key, value]) => `${key} ${value}`)
+          .join(', ')
+      : '-',
+    `${before.mimeType} ${dimensions(before)}`,
+    formatBytes(before.size),
+    after ? `${after.mimeType} ${dimensions(after)}` : 'removed',
+    formatBytes(after?.size),
+  ])
+)}
+<h2>Materials</h2>
+${printTable(
+  ['Material'],
+  report.materials.map((name) => [name])
+)}
+<h2>Animations</h2>
+${printTable(
+  ['Animation', 'Channels', 'Duration'],
+  report.animations.map(({ name, channels, duration }) => [name, channels, `${Math.round(duration * 100) / 100}s`])
+)}
+<h2>Pipeline</h2>
+${printTable(
+  ['Step', 'Time'],
+  report.steps.map(({ name, time }) => [name, `${time}ms`])
+)}
+<h2>Pruned nodes</h2>
+${printTable(
+  ['Node', 'Type', 'Reason'],
+  report.pruned.map(({ name, type, reason }) => [name || '(unnamed)', type, reason])
+)}
+</body>
+</html>
+`
+}
+
+function checkReportFormat(format) {
+  if (format !== 'json' && format !== 'html')
+    throw new InvalidOptionError('report', `Unknown report format "${format}", use json or html`)
+}
+
+/** Writes Model.report.json or Model.report.html next to the component */
+function writeReport(report, output, format = 'json') {
+  checkReportFormat(format)
+  const { dir, name } = path.parse(path.resolve(output))
+  const file = path.join(dir, `${name}.report.${format}`)
+  fs.writeFileSync(file, format === 'html' ? printHtml(report) : JSON.stringify(report, null, 2))
+  return file
+}
+
+export {
+  describeDocument,
+  describeTexture,
+  createReport,
+  printHtml,
+  writeReport,
+  checkReportFormat,
+  modelFiles,
+  modelSize,
+  printQuantization,
+}
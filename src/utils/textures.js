@@ -0,0 +1,190 @@
+import fs from 'fs'
+import path from 'path'
+import { createRequire } from 'module'
+import { pathToFileURL } from 'url'
+import { TextureChannel } from '@gltf-transform/core'
+import { EXTTextureAVIF, EXTTextureWebP, KHRTextureBasisu } from '@gltf-transform/extensions'
+import { compressTexture, createTransform, getTextureChannelMask, listTextureSlots } from '@gltf-transform/functions'
+import sharp from 'sharp'
+import wildcard from './wildcard.js'
+
+const FORMATS = ['jpeg', 'png', 'webp', 'avif', 'ktx2']
+// Slots that hold colors are sRGB, everything else is data
+const COLOR_SLOTS = /^(baseColor|emissive|diffuse|specularGlossiness|sheenColor|specularColor)Texture$/
+const RULE_KEYS = ['slot', 'name', 'format', 'quality', 'max']
+
+function checkRule(rule, i) {
+  const unknown = Object.keys(rule).find((key) => !RULE_KEYS.includes(key))
+  if (unknown) throw new Error(`Unknown key "${unknown}" in texture rule ${i}, use ${RULE_KEYS.join(', ')}`)
+  if (rule.format && !FORMATS.includes(rule.format))
+    throw new Error(`Unknown format "${rule.format}" in texture rule ${i}, use ${FORMATS.join(', ')}`)
+}
+
+/**
+ * The rules for every texture: those from `textures` first, then what the flags ask for. Rules
+ * leave out what the flags decide, a rule without `format` uses --format and without `max` the
+ * --resolution. Normal maps stay near lossless, jpeg (UASTC with ktx2) at 2048 or more.
+ */
+function textureRules(config = {}) {
+  const resolution = config.resolution ?? 1024
+  const rules = (config.textures ?? []).map((rule, i) => {
+    checkRule(rule, i)
+    return { ...rule, format: rule.format ?? config.format, max: rule.max ?? resolution }
+  })
+  if (config.degrade) {
+    // Custom per-file resolution
+    rules.push({
+      name: new RegExp(`^(?=${config.degrade}).*$`),
+      format: config.format,
+      max: config.degraderesolution ?? 512,
+    })
+  } else {
+    rules.push({
+      slot: 'normalTexture',
+      format: config.format === 'ktx2' ? 'ktx2' : 'jpeg',
+      max: Math.max(resolution, 2048),
+    })
+  }
+  rules.push({ format: config.format, max: resolution })
+  return rules
+}
+
+function test(pattern, value) {
+  return (typeof pattern === 'string' ? wildcard(pattern) : pattern).test(value)
+}
+
+/** The first rule whose slot matches one of the texture's slots and whose name its name or uri */
+function matchRule(texture, rules) {
+  const slots = listTextureSlots(texture)
+  return rules.find(
+    (rule) =>
+      (!rule.slot || slots.some((slot) => test(rule.slot, slot))) &&
+      (!rule.name || test(rule.name, texture.getName()) || test(rule.name, texture.getURI()))
+  )
+}
+
+/** A rule as plain data for the report, patterns become strings */
+function describeRule(rule) {
+  if (!rule) return null
+  return Object.fromEntries(
+    Object.entries(rule)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [key, value instanceof RegExp ? String(value) : value])
+  )
+}
+
+let basis = null
+let queue = Promise.resolve()
+// Where the encoder's errors go, the logger of the texture being encoded
+let warn = () => {}
+
+/** The WASM encoder isn't reentrant, encodes run one after another */
+function serially(task) {
+  const result = queue.then(task)
+  queue = result.catch(() => {})
+  return result
+}
+
+/**
+ * The Basis Universal encoder, loaded on first use. Its WASM prints every slice, so the module is
+ * created with its own print, which drops them, and printErr, which warns.
+ */
+function basisEncoder() {
+  basis ??= (async () => {
+    // The Emscripten factory isn't in ktx2-encoder's exports, it's imported from the package folder
+    const require = createRequire(import.meta.url)
+    const dir = require.resolve.paths('ktx2-encoder').find((dir) => fs.existsSync(path.join(dir, 'ktx2-encoder')))
+    const dist = pathToFileURL(path.join(dir, 'ktx2-encoder', 'dist/'))
+    const [{ default: BASIS }, { encodeWithModule }] = await Promise.all([
+      import(new URL('basis/basis_encoder.js', dist)),
+      import(new URL('encodeCore.js', dist)),
+    ])
+    const module = await BASIS({ print: () => {}, printErr: (message) => warn(message) })
+    module.initializeBasis()
+    return (buffer, options) => encodeWithModule(module, buffer, options)
+  })()
+  return basis
+}
+
+/**
+ * Encodes a texture as KTX2 with mipmaps. Colors use ETC1S, which is small, normal maps UASTC,
+ * which keeps their detail. The size is rounded to a multiple of 4 as KHR_texture_basisu requires.
+ */
+async function encodeKTX2(texture, rule, slots, logger) {
+  const image = sharp(texture.getImage())
+  const { width, height } = await image.metadata()
+  const scale = Math.min(1, (rule.max ?? Infinity) / Math.max(width, height))
+  const size = (value) => Math.max(4, Math.round((value * scale) / 4) * 4)
+  const png = await image.resize(size(width), size(height), { fit: 'fill' }).png().toBuffer()
+  const normal = slots.includes('normalTexture')
+  const color = !normal && slots.some((slot) => COLOR_SLOTS.test(slot))
+  const encode = await basisEncoder()
+  const ktx2 = await serially(() => {
+    warn = (message) => logger.warn(`textureCompress(${texture.getURI() || texture.getName()}): ${message}`)
+    return encode(new Uint8Array(png), {
+      imageDecoder: async (buffer) => {
+        const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true })
+        return { data: new Uint8Array(data), width: info.width, height: info.height }
+      },
+      isUASTC: normal,
+      needSupercompression: normal,
+      isPerceptual: color,
+      isInputSRGB: color,
+      isSetKTX2SRGBTransferFunc: color,
+      // ETC1S quality goes up to 255
+      ...(rule.quality && { qualityLevel: Math.max(1, Math.round(rule.quality * 2.55)) }),
+      generateMipmap: true,
+    })
+  })
+  const uri = texture.getURI()
+  texture
+    .setImage(ktx2)
+    .setMimeType('image/ktx2')
+    .setURI(uri && uri.replace(/\.\w+$/, '.ktx2'))
+}
+
+/**
+ * Resizes and converts every texture by the first rule it matches, like glTF-Transform's
+ * textureCompress does for one pattern. The rule each texture got is kept in `matches`.
+ */
+function compressTextures(rules) {
+  const matches = new Map()
+  const transform = createTransform('textureCompress', async (document) => {
+    const logger = document.getLogger()
+    const textures = document.getRoot().listTextures()
+    await Promise.all(
+      textures.map(async (texture) => {
+        let rule = matchRule(texture, rules)
+        if (!rule || !/^image\/(jpeg|png|webp|avif)$/.test(texture.getMimeType())) return
+        matches.set(texture, rule)
+        if (rule.format === 'jpeg' && getTextureChannelMask(texture) & TextureChannel.A) {
+          logger.warn(
+            `textureCompress(${texture.getURI() || texture.getName()}): Keeping the format, jpeg has no alpha`
+          )
+          rule = { ...rule, format: undefined }
+        }
+        if (rule.format === 'ktx2') return encodeKTX2(texture, rule, listTextureSlots(texture), logger)
+        await compressTexture(texture, {
+          encoder: sharp,
+          targetFormat: rule.format,
+          resize: rule.max ? [rule.max, rule.max] : undefined,
+          quality: rule.quality ?? null,
+        })
+      })
+    )
+    // Converted textures need their extension
+    for (const [Extension, mimeType] of [
+      [EXTTextureWebP, 'image/webp'],
+      [EXTTextureAVIF, 'image/avif'],
+      [KHRTextureBasisu, 'image/ktx2'],
+    ]) {
+      const extension = document.createExtension(Extension)
+      if (textures.some((texture) => texture.getMimeType() === mimeType)) extension.setRequired(true)
+      else extension.dispose()
+    }
+  })
+  transform.matches = matches
+  return transform
+}
+
+export { textureRules, matchRule, describeRule, compressTextures }
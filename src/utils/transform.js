@@ -1,4 +1,5 @@
-import { Logger, NodeIO } from '@gltf-transform/core'
+import fs from 'fs'
+import { Accessor, Logger, NodeIO } from '@gltf-transform/core'
 import {
   simplify,
   instance,
@@ -11,8 +12,9 @@ import {
   dedup,
   resample,
   prune,
-  textureCompress,
   draco,
+  meshopt,
+  quantize,
   palette,
   unpartition,
 } from '@gltf-transform/functions'
@@ -20,9 +22,11 @@ import { ALL_EXTENSIONS } from '@gltf-transform/extensions'
 import { MeshoptDecoder, MeshoptEncoder, MeshoptSimplifier } from 'meshoptimizer'
 import { ready as resampleReady, resample as resampleWASM } from 'keyframe-resample'
 import draco3d from 'draco3dgltf'
-import sharp from 'sharp'
+import { describeDocument, describeTexture } from './report.js'
+import { compressTextures, describeRule, textureRules } from './textures.js'
+import { InvalidOptionError } from './errors.js'
 
-async function transform(file, output, config = {}) {
+async function createIO(config = {}) {
   await MeshoptDecoder.ready
   await MeshoptEncoder.ready
   const io = new NodeIO().registerExtensions(ALL_EXTENSIONS).registerDependencies({
@@ -33,86 +37,223 @@ async function transform(file, output, config = {}) {
   })
   if (config.console) io.setLogger(new Logger(Logger.Verbosity.ERROR))
   else io.setLogger(new Logger(Logger.Verbosity.WARN))
+  return io
+}
 
-  const document = await io.read(file)
-  const resolution = config.resolution ?? 1024
-  const normalResolution = Math.max(resolution, 2048)
-  const degradeResolution = config.degraderesolution ?? 512
-  const functions = [unpartition()]
-
-  if (!config.keepmaterials) functions.push(palette({ min: 5 }))
-
-  functions.push(
-    reorder({ encoder: MeshoptEncoder }),
-    dedup(),
-    // This seems problematic ...
-    // instance({ min: 5 }),
-    flatten(),
-    dequantize() // ...
-  )
+// Bits per vertex attribute, the defaults of glTF-Transform and draco
+const QUANTIZE_BITS = { position: 14, normal: 10, texcoord: 12, color: 8, weight: 8, generic: 12 }
 
-  if (!config.keepmeshes) {
-    functions.push(
-      join() // ...
+/**
+ * Bits per attribute from `quantize`, an object or "position=12,normal=8". Draco has no setting
+ * for weights, it quantizes them and tangents with the generic bits, so `weight` is left out.
+ */
+function quantizeBits(config = {}) {
+  const draco = (config.compression ?? 'draco') === 'draco'
+  let { quantize = {} } = config
+  if (typeof quantize === 'string') {
+    quantize = Object.fromEntries(
+      quantize
+        .split(',')
+        .filter(Boolean)
+        .map((pair) => pair.split('=').map((value) => value.trim()))
+        .map(([key, value]) => [key, Number(value)])
     )
   }
+  for (const [key, bits] of Object.entries(quantize)) {
+    if (!(key in QUANTIZE_BITS))
+      throw new Error(`Unknown quantize attribute "${key}", use ${Object.keys(QUANTIZE_BITS).join(', ')}`)
+    if (!Number.isInteger(bits) || bits < 1 || bits > 16)
+      throw new Error(`Quantize bits for ${key} must be a whole number from 1 to 16, got ${bits}`)
+    if (draco && key === 'weight')
+      throw new Error('Draco quantizes weights with the generic bits, set generic or use --compression meshopt')
+  }
+  const { weight, ...bits } = { ...QUANTIZE_BITS, ...quantize }
+  return draco ? bits : { ...bits, weight }
+}
 
-  functions.push(
-	  // Weld vertices
-	  weld(),
+/** The bits as glTF-Transform's quantizePosition, quantizeNormal, ... options */
+function quantizeOptions(config) {
+  return Object.fromEntries(
+    Object.entries(quantizeBits(config)).map(([key, bits]) => ['quantize' + key[0].toUpperCase() + key.slice(1), bits])
   )
+}
 
-  if (config.simplify) {
-    functions.push(
-      // Simplify meshes
-      simplify({ simplifier: MeshoptSimplifier, ratio: config.ratio ?? 0, error: config.error ?? 0.0001 })
-    )
+function attributeBits(semantic, bits) {
+  if (semantic === 'POSITION') return bits.position
+  if (semantic === 'NORMAL') return bits.normal
+  if (semantic.startsWith('TEXCOORD_')) return bits.texcoord
+  if (semantic.startsWith('COLOR_')) return bits.color
+  // Without weight bits it's draco, to which everything else is a generic attribute
+  if (!('weight' in bits)) return bits.generic
+  if (semantic === 'TANGENT') return bits.normal
+  if (semantic.startsWith('WEIGHTS_')) return bits.weight
+  if (semantic.startsWith('_')) return bits.generic
+  return null
+}
+
+/**
+ * Estimates what quantizing the document's vertex attributes saves, before compression. Float
+ * attributes shrink to 8 or 16 bit components, each vertex padded to 4 bytes like glTF requires.
+ */
+function previewQuantization(document, config = {}) {
+  const bits = quantizeBits(config)
+  const seen = new Set()
+  let before = 0
+  let after = 0
+  for (const mesh of document.getRoot().listMeshes()) {
+    for (const prim of mesh.listPrimitives()) {
+      const attributes = [
+        ...prim.listSemantics().map((semantic, i) => [semantic, prim.listAttributes()[i]]),
+        ...prim
+          .listTargets()
+          .flatMap((target) => target.listSemantics().map((semantic, i) => [semantic, target.listAttributes()[i]])),
+      ]
+      for (const [semantic, accessor] of attributes) {
+        if (seen.has(accessor)) continue
+        seen.add(accessor)
+        const size = accessor.getByteLength()
+        const target = accessor.getComponentType() === Accessor.ComponentType.FLOAT && attributeBits(semantic, bits)
+        before += size
+        after += target
+          ? accessor.getCount() * Math.ceil((accessor.getElementSize() * (target <= 8 ? 1 : 2)) / 4) * 4
+          : size
+      }
+    }
   }
+  return { bits, before, after }
+}
+
+/**
+ * Every built-in step in the order it runs, each creates its glTF-Transform functions from the
+ * step's options and the transform config. `textures` resizes and converts textures by rule.
+ */
+const STEPS = {
+  unpartition: (options) => unpartition(options),
+  palette: (options) => palette({ min: 5, ...options }),
+  reorder: (options) => reorder({ encoder: MeshoptEncoder, ...options }),
+  dedup: (options) => dedup(options),
+  instance: (options) => instance({ min: 5, ...options }),
+  flatten: () => flatten(),
+  dequantize: (options) => dequantize(options),
+  join: (options) => join(options),
+  // Merges bitwise identical vertices, glTF-Transform 4 has no tolerance
+  weld: (options) => weld(options),
+  simplify: (options, config) =>
+    simplify({ simplifier: MeshoptSimplifier, ratio: config.ratio ?? 0, error: config.error ?? 0.0001, ...options }),
+  resample: (options) => resample({ ready: resampleReady, resample: resampleWASM, ...options }),
+  prune: (options) => prune({ keepAttributes: false, keepLeaves: false, ...options }),
+  sparse: (options) => sparse(options),
+  textures: (options, config) => compressTextures(textureRules({ ...config, ...options })),
+  draco: (options, config) => draco({ ...quantizeOptions(config), ...options }),
+  // Quantizes and applies EXT_meshopt_compression, which covers animations and morph targets too
+  meshopt: (options, config) =>
+    meshopt({ encoder: MeshoptEncoder, level: config.meshoptlevel ?? 'high', ...quantizeOptions(config), ...options }),
+  // KHR_mesh_quantization alone, smaller than float32 and nothing to decode
+  quantize: (options, config) => quantize({ ...quantizeOptions(config), ...options }),
+}
 
-  functions.push(
-    resample({ ready: resampleReady, resample: resampleWASM }),
-    prune({ keepAttributes: false, keepLeaves: false }),
-    sparse()
+const COMPRESSION = ['draco', 'meshopt', 'quantize', 'none']
+
+/** The steps the flags turn on, instance stays off as it seems problematic */
+function defaultPipeline(config = {}) {
+  const compression = config.compression ?? 'draco'
+  if (!COMPRESSION.includes(compression))
+    throw new InvalidOptionError('compression', `Unknown compression "${compression}", use ${COMPRESSION.join(', ')}`)
+  return Object.keys(STEPS).filter(
+    (name) =>
+      name !== 'instance' &&
+      !(COMPRESSION.includes(name) && name !== compression) &&
+      !(name === 'palette' && config.keepmaterials) &&
+      !(name === 'join' && config.keepmeshes) &&
+      !(name === 'simplify' && !config.simplify)
   )
+}
 
-  if (config.degrade) {
-    // Custom per-file resolution
-    functions.push(
-      textureCompress({
-        encoder: sharp,
-        pattern: new RegExp(`^(?=${config.degrade}).*$`),
-        targetFormat: config.format,
-        resize: [degradeResolution, degradeResolution],
-      }),
-      textureCompress({
-        encoder: sharp,
-        pattern: new RegExp(`^(?!${config.degrade}).*$`),
-        targetFormat: config.format,
-        resize: [resolution, resolution],
-      })
-    )
-  } else {
-    // Keep normal maps near lossless
-    functions.push(
-      textureCompress({
-        slots: /^(?!normalTexture).*$/, // exclude normal maps
-        encoder: sharp,
-        targetFormat: config.format,
-        resize: [resolution, resolution],
-      }),
-      textureCompress({
-        slots: /^(?=normalTexture).*$/, // include normal maps
-        encoder: sharp,
-        targetFormat: 'jpeg',
-        resize: [normalResolution, normalResolution],
-      })
+function unknownStep(name) {
+  return new Error(`Unknown transform step "${name}", use one of ${Object.keys(STEPS).join(', ')}`)
+}
+
+/**
+ * Turns `config.pipeline` into [{ name, functions }]. An array lists every step: the name of a
+ * built-in, [name, options] or a glTF-Transform function of your own. An object adjusts the
+ * default pipeline per step, false removes it, true or options add it in its usual place.
+ */
+function resolvePipeline(config = {}) {
+  const { pipeline } = config
+  let entries = defaultPipeline(config)
+  if (pipeline && !Array.isArray(pipeline)) {
+    const unknown = Object.keys(pipeline).find((name) => !(name in STEPS))
+    if (unknown) throw unknownStep(unknown)
+    entries = Object.keys(STEPS)
+      .filter((name) => (name in pipeline ? pipeline[name] !== false : entries.includes(name)))
+      .map((name) => (typeof pipeline[name] === 'object' ? [name, pipeline[name]] : name))
+  } else if (pipeline) entries = pipeline
+  const steps = entries.map((entry) => {
+    if (typeof entry === 'function') return { name: entry.name || 'anonymous', functions: [entry] }
+    const [name, options = {}] = [].concat(entry)
+    if (!(name in STEPS)) throw unknownStep(name)
+    return { name, functions: [].concat(STEPS[name](options, config)) }
+  })
+  // Each of them quantizes the geometry its own way, a second one would run on the output of the first
+  const compressions = steps.filter(({ name }) => COMPRESSION.includes(name)).map(({ name }) => name)
+  if (compressions.length > 1)
+    throw new InvalidOptionError(
+      'pipeline',
+      `${compressions.join(' and ')} can't run together, pick one with --compression`
     )
+  return steps
+}
+
+/**
+ * Transforms a glTF-Transform document in place. Resolves with what happened for the report: the
+ * document before and after, every step that ran with its timing and each texture before and after.
+ */
+async function transformDocument(document, config = {}) {
+  const pipeline = resolvePipeline(config)
+  const before = describeDocument(document)
+  // Texture objects survive compression, disposed ones were pruned or deduped
+  const textures = document
+    .getRoot()
+    .listTextures()
+    .map((texture, i) => ({ texture, ...before.textures[i] }))
+
+  const steps = []
+  let quantization = null
+  for (const step of pipeline) {
+    // Measured right before geometry is quantized, the accessors are still float
+    if (COMPRESSION.includes(step.name)) quantization = previewQuantization(document, config)
+    for (const fn of step.functions) {
+      const start = Date.now()
+      await document.transform(fn)
+      steps.push({ name: fn.name || 'anonymous', time: Date.now() - start })
+    }
   }
 
-  functions.push(draco())
+  // The rule every texture was compressed by
+  const matches = new Map(pipeline.flatMap((step) => step.functions).flatMap((fn) => [...(fn.matches ?? [])]))
+  return {
+    before,
+    after: describeDocument(document),
+    steps,
+    quantization,
+    textures: textures.map(({ texture, name, slots, mimeType, size, width, height }) => ({
+      name,
+      slots,
+      rule: describeRule(matches.get(texture)),
+      before: { mimeType, size, width, height },
+      after: texture.isDisposed() ? null : describeTexture(texture),
+    })),
+  }
+}
 
-  await document.transform(...functions)
+/** Transforms file into output, resolves with the output's path and size and what transformDocument did */
+async function transform(file, output, config = {}) {
+  const io = await createIO(config)
+  const document = await io.read(file)
+  const result = await transformDocument(document, config)
   await io.write(output, document)
+  return { file: output, size: fs.statSync(output).size, ...result }
 }
 
+export { createIO, transformDocument, resolvePipeline, defaultPipeline, previewQuantization, quantizeBits }
 export default transform
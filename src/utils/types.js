@@ -0,0 +1,79 @@
+import isVarName from './isVarName.js'
+
+function quote(str) {
+  return `'${str.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`
+}
+
+function printKey(name) {
+  return isVarName(name) ? name : quote(name)
+}
+
+function collect(gltf) {
+  const nodes = new Map()
+  const materials = new Map()
+  gltf.scene.traverse((o) => {
+    // Every named object, useGLTF puts them all in nodes and the template refers to kept groups too
+    if (o.name) nodes.set(o.name, o.type)
+    if (o.material) {
+      const list = Array.isArray(o.material) ? o.material : [o.material]
+      list.forEach((material) => material.name && materials.set(material.name, material.type))
+    }
+  })
+  return { nodes, materials }
+}
+
+function printTypes(gltf, { exports = false } = {}) {
+  const prefix = exports ? 'export ' : ''
+  const { nodes, materials } = collect(gltf)
+  const animations = gltf.animations || []
+
+  let animationTypes = ''
+  if (animations.length) {
+    animationTypes = `${prefix}type ActionName = ${animations.map((clip) => quote(clip.name)).join(' | ')}
+
+${prefix}interface GLTFAction extends THREE.AnimationClip {
+  name: ActionName
+}
+
+`
+  }
+
+  const props = `${prefix}interface ModelProps {
+  position?: [number, number, number]
+  rotation?: [number, number, number]
+  scale?: number | [number, number, number]
+  visible?: boolean
+}
+
+`
+  const printEntries = (entries) => [...entries].map(([name, type]) => `    ${printKey(name)}: THREE.${type}`).join('\n')
+  return `${props}${animationTypes}${prefix}type GLTFResult = GLTF & {
+  nodes: {
+${printEntries(nodes)}
+  }
+  materials: {
+${printEntries(materials)}
+  }${animations.length ? '\n  animations: GLTFAction[]' : ''}
+}`
+}
+
+function printDeclaration(gltf) {
+  return `import type { DefineComponent } from 'vue'
+import type * as THREE from 'three'
+import type { GLTF } from 'three-stdlib'
+
+${printTypes(gltf, { exports: true })}
+
+/** What a ref on the component reaches, everything it passes to defineExpose */
+export interface ModelExposed {
+  group: THREE.Group | undefined
+  nodes: GLTFResult['nodes']
+  materials: GLTFResult['materials']${gltf.animations?.length ? '\n  actions: Record<ActionName, THREE.AnimationAction>' : ''}
+}
+
+declare const Model: DefineComponent<ModelProps, ModelExposed>
+export default Model
+`
+}
+
+export { printTypes, printDeclaration }
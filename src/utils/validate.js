@@ -0,0 +1,64 @@
+import fs from 'fs'
+import path from 'path'
+import validator from 'gltf-validator'
+import { MissingFileError } from './errors.js'
+
+const SEVERITIES = ['error', 'warning', 'info', 'hint']
+
+/**
+ * Runs the Khronos glTF validator on a model, a path or its contents. External buffers and images
+ * are read relative to the path, contents must be self-contained. Resolves with
+ * { file, errors, warnings, infos, hints, issues: [{ severity, code, message, pointer }] }.
+ */
+async function validate(input, { maxIssues = 100, name = 'model.glb' } = {}) {
+  const file = typeof input === 'string' ? input : null
+  if (file && (!fs.existsSync(file) || !fs.statSync(file).isFile())) throw new MissingFileError(file)
+  const report = await validator.validateBytes(new Uint8Array(file ? fs.readFileSync(file) : input), {
+    uri: file ? path.basename(file) : name,
+    maxIssues,
+    externalResourceFunction: (uri) =>
+      file
+        ? fs.promises.readFile(path.resolve(path.dirname(file), decodeURIComponent(uri))).then(
+            (data) => new Uint8Array(data),
+            (error) => Promise.reject(error.message)
+          )
+        : Promise.reject(`${uri} can't be resolved for a model in memory`),
+  })
+  const { numErrors, numWarnings, numInfos, numHints, messages } = report.issues
+  return {
+    file: file ?? name,
+    errors: numErrors,
+    warnings: numWarnings,
+    infos: numInfos,
+    hints: numHints,
+    issues: messages.map(({ severity, code, message, pointer }) => ({
+      severity: SEVERITIES[severity],
+      code,
+      message,
+      pointer: pointer ?? null,
+    })),
+  }
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+/** Issues grouped by severity, most severe first, each with the JSON pointer it was found at */
+function printValidation(result) {
+  const counts = [
+    plural(result.errors, 'error'),
+    plural(result.warnings, 'warning'),
+    plural(result.infos, 'info'),
+    plural(result.hints, 'hint'),
+  ]
+  const lines = [`${result.file}: ${counts.join(', ')}`]
+  for (const severity of SEVERITIES) {
+    const issues = result.issues.filter((issue) => issue.severity === severity)
+    if (!issues.length) continue
+    const width = Math.max(...issues.map(({ code }) => code.length))
+    lines.push('', `${severity[0].toUpperCase() + severity.slice(1)}s`)
+    issues.forEach(({ code, message, pointer }) => lines.push(`  ${code.padEnd(width)}  ${pointer ?? '/'}  ${message}`))
+  }
+  return lines.join('\n')
+}
+
+export { validate, printValidation }
@@ -0,0 +1,121 @@
+import fs from 'fs'
+import path from 'path'
+import fg from 'fast-glob'
+import { globBase, resolveInputs } from './batch.js'
+
+/** Directories to watch for the inputs, patterns and directories recursively */
+function watchTargets(inputs) {
+  return inputs.map((input) => {
+    const pattern = input.replace(/\\/g, '/')
+    if (fg.isDynamicPattern(pattern)) return { dir: globBase(pattern), recursive: true }
+    if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) return { dir: pattern, recursive: true }
+    return { dir: path.dirname(pattern), recursive: false }
+  })
+}
+
+/**
+ * Watches files, directories or glob patterns and calls onChange(file) for every model that was
+ * written. Rapid writes to the same file are debounced, changes run one at a time so a model is
+ * never converted twice in parallel. Errors are reported and watching continues.
+ * Returns a function that stops watching.
+ */
+function watch(inputs, onChange, { debounce = 200, log = console.log, ignore = [] } = {}) {
+  inputs = [].concat(inputs)
+  const ignored = new Set(ignore.filter(Boolean).map((dir) => path.resolve(dir)))
+  const timers = new Map()
+  let queue = Promise.resolve()
+
+  async function run(file) {
+    // Only files the inputs still match, this also picks up models added while watching
+    const entries = await resolveInputs(inputs, { ignore })
+    const entry = entries.find((entry) => path.resolve(entry.file) === file)
+    if (!entry) return
+    const start = Date.now()
+    try {
+      await onChange(entry.file)
+      log(`Regenerated ${entry.file} in ${Date.now() - start}ms`)
+    } catch (error) {
+      log(`Failed ${entry.file}: ${String(error?.message ?? error).split('\n')[0]}`)
+    }
+  }
+
+  function schedule(file) {
+    clearTimeout(timers.get(file))
+    timers.set(
+      file,
+      setTimeout(() => {
+        timers.delete(file)
+        queue = queue.then(() => run(file))
+      }, debounce)
+    )
+  }
+
+  // Recursive fs.watch isn't available on Linux before Node 20, every directory gets its own watcher
+  const watchers = new Map()
+
+  function add(dir, recursive) {
+    if (watchers.has(dir)) return
+    let watcher
+    try {
+      watcher = fs.watch(dir, (event, filename) => {
+        if (!filename) return
+        const file = path.resolve(dir, filename.toString())
+        // Transformed copies are our own output, they must not trigger another run
+        if (file.endsWith('-transformed.glb') || !fs.existsSync(file)) return
+        if (!fs.statSync(file).isDirectory()) schedule(file)
+        else if (recursive && !skipped(file)) addTree(file, true)
+      })
+    } catch {
+      // Removed before it could be watched
+      return
+    }
+    // A removed directory errors on some platforms, its parent reports the removal
+    watcher.on('error', () => remove(dir))
+    watchers.set(dir, watcher)
+  }
+
+  function remove(dir) {
+    watchers.get(dir)?.close()
+    watchers.delete(dir)
+  }
+
+  // Like batch, dependencies, dot folders and the output never hold models to watch
+  function skipped(dir) {
+    const name = path.basename(dir)
+    return name === 'node_modules' || name.startsWith('.') || ignored.has(dir)
+  }
+
+  /** Watches a directory and everything below it, files already in a new directory are changes too */
+  function addTree(dir, added = false) {
+    add(path.resolve(dir), true)
+    let entries
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true })
+    } catch {
+      // Gone again already
+      return
+    }
+    for (const entry of entries) {
+      const file = path.resolve(dir, entry.name)
+      if (entry.isDirectory()) {
+        if (!skipped(file)) addTree(file, added)
+      } else if (added) schedule(file)
+    }
+  }
+
+  for (const { dir, recursive } of watchTargets(inputs)) {
+    // A pattern whose base doesn't exist yet has nothing to watch
+    if (!fs.existsSync(dir)) continue
+    if (recursive) addTree(dir)
+    else add(path.resolve(dir), false)
+  }
+
+  return () => {
+    watchers.forEach((watcher) => watcher.close())
+    watchers.clear()
+    timers.forEach((timer) => clearTimeout(timer))
+    timers.clear()
+  }
+}
+
+export default watch
@@ -0,0 +1,10 @@
+// Turns a name pattern with * and ? wildcards into an anchored RegExp, e.g. "Wheel*"
+const wildcard = (pattern) => {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.')
+  return new RegExp(`^${source}$`)
+}
+
+export default wildcard
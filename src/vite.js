@@ -0,0 +1,132 @@
+import fs from 'fs'
+import path from 'path'
+import { createHash } from 'crypto'
+import convert from './utils/convert.js'
+import { createIO } from './utils/transform.js'
+import { loadConfig, resolveOptions } from './utils/config.js'
+
+const MODEL = /\.(glb|gltf)$/i
+// Components are generated with this url, it's replaced by the emitted asset
+const PLACEHOLDER = '__gltfvue_model__'
+// The quoted url, in whatever quotes the project's Prettier config picked
+const PLACEHOLDER_URL = new RegExp(`(['"\`])/${PLACEHOLDER}\\1`, 'g')
+const PREFIX = '@gltfvue/'
+
+/** Flags after ?tres, `transform` is true and `resolution=512` a number */
+function readQuery(query) {
+  const params = new URLSearchParams(query)
+  if (!params.has('tres')) return null
+  params.delete('tres')
+  const flags = {}
+  for (const [key, value] of params) {
+    if (value === '' || value === 'true') flags[key] = true
+    else if (value === 'false') flags[key] = false
+    else flags[key] = isNaN(Number(value)) ? value : Number(value)
+  }
+  return flags
+}
+
+/**
+ * Vite plugin that turns `import Car from './car.glb?tres'` into a component. The model goes
+ * through the same pipeline as the CLI, `?tres&transform` transforms it, other options can be
+ * passed as query flags (`&resolution=512`) or to the plugin and gltfvue.config.js applies too.
+ * The model is emitted as a hashed asset and the component is compiled by @vitejs/plugin-vue,
+ * which has to come after this plugin. Editing the model hot-reloads the component.
+ */
+export default function gltfvue(options = {}) {
+  let server = null
+  let command = 'serve'
+  let base = '/'
+  let root = process.cwd()
+  let config = null
+  // Virtual id -> { file, flags, asset }, and hashed name -> GLB for the dev server
+  const modules = new Map()
+  const assets = new Map()
+
+  async function generate(file, flags) {
+    config ??= await loadConfig(root)
+    const resolved = { ...resolveOptions(config, file, { ...options, ...flags }), fileName: PLACEHOLDER }
+    // Components must not touch the disk or the terminal
+    for (const key of ['output', 'console', 'watch', 'demo', 'merge', 'report', 'index']) delete resolved[key]
+    // A .gltf is packed first so the component and the model don't depend on files next to it
+    let input = file
+    if (!(resolved.transform || resolved.instance || resolved.instanceall) && !/\.glb$/i.test(file)) {
+      const io = await createIO(resolved)
+      input = await io.writeBinary(await io.read(file))
+    }
+    const { sfc, glb } = await convert(input, resolved)
+    const model = glb ?? (input === file ? fs.readFileSync(file) : input)
+    return { sfc, model }
+  }
+
+  return {
+    name: 'gltfvue',
+    enforce: 'pre',
+
+    configResolved(resolvedConfig) {
+      command = resolvedConfig.command
+      base = resolvedConfig.base
+      root = resolvedConfig.root
+    },
+
+    configureServer(devServer) {
+      server = devServer
+      server.middlewares.use((req, res, next) => {
+        const url = req.url?.split('?')[0] ?? ''
+        const model = assets.get(url.slice(url.indexOf(PREFIX) + PREFIX.length))
+        if (!url.includes(PREFIX) || !model) return next()
+        res.setHeader('Content-Type', 'model/gltf-binary')
+        res.setHeader('Cache-Control', 'no-cache')
+        res.end(Buffer.from(model))
+      })
+    },
+
+    async resolveId(id, importer) {
+      const [request, query] = id.split('?')
+      const flags = query && MODEL.test(request) ? readQuery(query) : null
+      if (!flags) return null
+      const resolved = await this.resolve(request, importer, { skipSelf: true })
+      if (!resolved) return null
+      // Ends in .vue so @vitejs/plugin-vue compiles it, every set of flags is its own component
+      const variant = Object.entries(flags)
+        .map(([key, value]) => (value === true ? key : `${key}-${value}`))
+        .join('-')
+        .replace(/[^\w-]/g, '_')
+      const virtual = `${resolved.id}.tres${variant ? '-' + variant : ''}.vue`
+      if (!modules.has(virtual)) modules.set(virtual, { file: resolved.id, flags })
+      return virtual
+    },
+
+    async load(id) {
+      const entry = modules.get(id)
+      if (!entry) return null
+      this.addWatchFile(entry.file)
+      const { sfc, model } = await generate(entry.file, entry.flags)
+      const name = path.basename(entry.file).replace(MODEL, '') + '.glb'
+      let url
+      if (command === 'build') {
+        url = `import.meta.ROLLUP_FILE_URL_${this.emitFile({ type: 'asset', name, source: model })}`
+      } else {
+        const hash = createHash('sha256').update(model).digest('hex').slice(0, 8)
+        const previous = entry.asset
+        entry.asset = `${hash}/${name}`
+        assets.set(entry.asset, model)
+        // The model of the last version of this component, unless another variant still serves it
+        if (previous && ![...modules.values()].some(({ asset }) => asset === previous)) assets.delete(previous)
+        url = JSON.stringify(`${base}${PREFIX}${entry.asset}`)
+      }
+      return sfc.replace(PLACEHOLDER_URL, url).replaceAll(PLACEHOLDER, name)
+    },
+
+    handleHotUpdate({ file }) {
+      if (!server) return
+      const affected = [...modules]
+        .filter(([, entry]) => path.resolve(entry.file) === path.resolve(file))
+        .map(([id]) => server.moduleGraph.getModuleById(id))
+        .filter(Boolean)
+      if (!affected.length) return
+      affected.forEach((module) => server.moduleGraph.invalidateModule(module))
+      return affected
+    },
+  }
+}